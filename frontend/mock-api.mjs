@@ -0,0 +1,30 @@
+// Local mock of the /api backend for development:
+//   npm run mock-api [-- seed.json]   then   VITE_DATA_SOURCE=http npm run dev
+// vite proxies /api to this server (see vite.config.js), like nginx does in production.
+import http from "node:http";
+import { readFileSync } from "node:fs";
+import { createMockApi } from "./src/mockApi.js";
+
+const PORT = Number(process.env.MOCK_API_PORT || 8787);
+const seedFile = process.argv[2];
+const api = createMockApi(seedFile ? JSON.parse(readFileSync(seedFile, "utf8")) : {});
+
+http
+  .createServer((req, res) => {
+    let raw = "";
+    req.on("data", (chunk) => (raw += chunk));
+    req.on("end", async () => {
+      let body;
+      try {
+        body = raw ? JSON.parse(raw) : undefined;
+      } catch {
+        res.writeHead(400, { "Content-Type": "application/json" });
+        return res.end(JSON.stringify({ error: "invalid_json" }));
+      }
+      const { pathname } = new URL(req.url, `http://localhost:${PORT}`);
+      const out = await api.handle(req.method, pathname, body);
+      res.writeHead(out.status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(out.body));
+    });
+  })
+  .listen(PORT, () => console.log(`mock /api listening on http://localhost:${PORT}`));
@@ -1,6 +1,9 @@
-import React, { useEffect, useMemo, useState } from "react";
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useRef, useState } from "react";
+import { Link, Navigate, NavLink, Route, Routes, useNavigate, useParams, useSearchParams } from "react-router-dom";
 import { v4 as uuidv4 } from "uuid";
 import { QRCodeCanvas } from "qrcode.react";
+import jsQR from "jsqr";
+import { TOKEN_PREFIX, SIGN_ALG, b64url, fromB64url, createSigningKeys, signIssuance } from "./signing.js";
 
 // === Utilities & UI Primitives =================================================
 const Card = ({ children }) => (
@@ -61,15 +64,971 @@ const QR = (props) => {
   );
 };
 
+// === i18n ======================================================================
+// Spanish is the source language: UI strings are written in Spanish and looked up in
+// the en/pt catalogs, falling back to Spanish, so { ok, message } results from the store
+// translate at display time through the same t(). "{name}" placeholders come from vars.
+// Dates and numbers are formatted for the chosen locale, always on Argentina's calendar.
+const LANGUAGES = {
+  es: { label: "Español", locale: "es-AR" },
+  en: { label: "English", locale: "en-US" },
+  pt: { label: "Português", locale: "pt-BR" },
+};
+const LANG_KEY = "ct-lang-v1";
+// Coupons live on the Argentine coast: dates, weekdays and hours are read in Argentina time
+const TIME_ZONE = "America/Argentina/Buenos_Aires";
+
+const MESSAGES = {
+  en: {
+    // Shell
+    "Turista": "Tourist",
+    "Comercio": "Merchant",
+    "Admin": "Admin",
+    "Salir": "Log out",
+    "Idioma": "Language",
+    "Cuponera Turística — MVP Mock": "Tourist Coupon Book — MVP Mock",
+    "Página no encontrada": "Page not found",
+    "Ir a los cupones": "Go to coupons",
+    "Sincronizando datos…": "Syncing data…",
+    "No se pudo {what}: {error}": "Could not {what}: {error}",
+    " (y {n} más)": " (and {n} more)",
+    "Reintentar": "Retry",
+    "cargar los datos": "load the data",
+    "guardar el código": "save the code",
+    "Sin conexión con el servidor": "No connection to the server",
+    "El servidor no responde": "The server is not responding",
+    // Catalog
+    "Buscar cupón, beneficio o comercio": "Search coupon, benefit or shop",
+    "Todas las localidades": "All towns",
+    "Todos los rubros": "All categories",
+    "Más nuevos": "Newest",
+    "Por vencer": "Ending soon",
+    "Más canjeados": "Most popular",
+    "{n} cupones": "{n} coupons",
+    "No hay cupones vigentes para esta búsqueda.": "No current coupons match this search.",
+    "Usar cupón": "Use coupon",
+    "Ver código": "Show code",
+    "Próximamente": "Coming soon",
+    "Agotado": "Sold out",
+    "Agotado por hoy": "Sold out for today",
+    "Quedan {n}": "{n} left",
+    "Hoy quedan {n}": "{n} left today",
+    "Desde {date}": "From {date}",
+    // Issued code
+    "Mi cupón (emitido)": "My coupon (issued)",
+    'Elegí un cupón y presioná "Usar cupón" para generar tu QR. Si ya lo generaste antes, verás el mismo código.':
+      'Pick a coupon and press "Use coupon" to get your QR. If you already got one, you will see the same code.',
+    "Mostrá este QR en caja": "Show this QR at the till",
+    "QR firmado": "Signed QR",
+    "Copiar código": "Copy code",
+    "Ocultar": "Hide",
+    "Código válido por única vez": "Single-use code",
+    "Vence en {time}": "Expires in {time}",
+    "Código válido {n} h": "Code valid for {n} h",
+    "Este código venció: generá uno nuevo desde el cupón.": "This code has expired: get a new one from the coupon.",
+    "Código vencido": "Code expired",
+    "Código generado": "Code generated",
+    "Ya tenías un código para este cupón": "You already had a code for this coupon",
+    "Código copiado": "Code copied",
+    // Wallet
+    "Mis cupones": "My coupons",
+    "Vigentes": "Current",
+    "Canjeados": "Redeemed",
+    "Vencidos": "Expired",
+    "Ver QR": "Show QR",
+    "Anular": "Cancel",
+    "¿Anular el código {code}? Ya no se va a poder canjear.": "Cancel code {code}? It will no longer be redeemable.",
+    "Código anulado": "Code cancelled",
+    "Anulado": "Cancelled",
+    "Cupón eliminado": "Coupon removed",
+    "Canje anulado": "Redemption voided",
+    "Emitido el {date}": "Issued on {date}",
+    "Canjeado el {date}": "Redeemed on {date}",
+    "Todavía no generaste códigos.": "You have not got any codes yet.",
+    "Código no encontrado": "Code not found",
+    "Código ya canjeado": "Code already redeemed",
+    // Store refusals
+    "Cupón no encontrado": "Coupon not found",
+    "Cupón no publicado": "Coupon not published",
+    "Cupón pausado": "Coupon paused",
+    "Cupón aún no vigente": "Coupon not valid yet",
+    "Cupón vencido": "Coupon expired",
+    "Cupón archivado": "Coupon archived",
+    "Cupos agotados": "No redemptions left",
+    "Cupos del día agotados": "No redemptions left today",
+    "Límite por persona alcanzado": "Per-person limit reached",
+    // Coupon and merchant pages
+    "Cupón no disponible": "Coupon not available",
+    "Este cupón no existe.": "This coupon does not exist.",
+    "Ver otros cupones": "See other coupons",
+    "Escaneá con la cámara del celular para obtener tu código": "Scan with your phone camera to get your code",
+    "Válido del {from} al {to}": "Valid from {from} to {to}",
+    "Imprimir afiche": "Print poster",
+    'Presioná "{cta}" para ver tu QR.': 'Press "{cta}" to see your QR.',
+    "Más cupones de {name}": "More coupons from {name}",
+    "Comercio no disponible": "Shop not available",
+    "Ver todos los cupones": "See all coupons",
+    "Este comercio no tiene cupones vigentes.": "This shop has no current coupons.",
+    "Elegí un cupón para generar tu QR.": "Pick a coupon to get your QR.",
+    // Identity & wallet
+    "Mi identidad": "My identity",
+    "Email o teléfono (opcional)": "Email or phone (optional)",
+    "Guardar": "Save",
+    "Pasar mis cupones a otro dispositivo": "Move my coupons to another device",
+    "Exportar billetera": "Export wallet",
+    "Copiar": "Copy",
+    "Pegá acá la billetera exportada (CTW1…)": "Paste the exported wallet here (CTW1…)",
+    "Importar billetera": "Import wallet",
+    "Contacto guardado": "Contact saved",
+    "Contacto borrado": "Contact removed",
+    "Ingresá un email o un teléfono válido": "Enter a valid email or phone number",
+    "Código de billetera inválido": "Invalid wallet code",
+    "Billetera importada ({n} códigos)": "Wallet imported ({n} codes)",
+    "Billetera importada ({n} códigos, {refused} rechazados)": "Wallet imported ({n} codes, {refused} rejected)",
+    // Schedule
+    "Todos los días": "Every day",
+    "{from} a {to}": "{from} to {to}",
+    "de {from} a {to} h": "{from} to {to} h",
+    " y ": " and ",
+    "excepto {dates}": "except {dates}",
+    "Dom": "Sun",
+    "Lun": "Mon",
+    "Mar": "Tue",
+    "Mié": "Wed",
+    "Jue": "Thu",
+    "Vie": "Fri",
+    "Sáb": "Sat",
+    // Store refusals (till and admin)
+    "Fuera de horario (no válido el {date})": "Outside opening hours (not valid on {date})",
+    "Fuera de horario (válido {when})": "Outside opening hours (valid {when})",
+    // Directory
+    "guardar la localidad": "save the town",
+    "guardar el rubro": "save the category",
+    "Localidad guardada": "Town saved",
+    "Localidad no encontrada": "Town not found",
+    "Localidad inválida": "Invalid town",
+    "Localidad reactivada": "Town reactivated",
+    "Localidad desactivada": "Town deactivated",
+    "Localidad eliminada": "Town deleted",
+    "Localidad en uso por {n} comercio(s): {names}": "Town used by {n} shop(s): {names}",
+    "Localidad en uso por {n} comercio(s) activo(s): {names}": "Town used by {n} active shop(s): {names}",
+    "Rubro guardado": "Category saved",
+    "Rubro no encontrado": "Category not found",
+    "Rubro inválido": "Invalid category",
+    "Rubro reactivado": "Category reactivated",
+    "Rubro desactivado": "Category deactivated",
+    "Rubro eliminado": "Category deleted",
+    "Rubro en uso por {n} comercio(s): {names}": "Category used by {n} shop(s): {names}",
+    "Rubro en uso por {n} comercio(s) activo(s): {names}": "Category used by {n} active shop(s): {names}",
+    "Ya existe \"{name}\"": "\"{name}\" already exists",
+    "Falta el nombre": "Name missing",
+    "Comercio no encontrado": "Shop not found",
+    "Comercio creado": "Shop created",
+    "Comercio actualizado": "Shop updated",
+    "Comercio reactivado": "Shop reactivated",
+    "Comercio desactivado": "Shop deactivated",
+    "guardar el comercio": "save the shop",
+    // Saved data
+    "Los datos guardados están dañados": "The saved data is damaged",
+    "Datos de una versión más nueva de la app (v{version})": "Data from a newer version of the app (v{version})",
+    "Falló la migración desde v{version}": "Migration from v{version} failed",
+    "Los datos guardados no son válidos": "The saved data is not valid",
+    "No se pudo acceder al almacenamiento local": "Local storage is not available",
+    "{error} (no se pudo guardar la copia)": "{error} (the backup could not be saved)",
+    // Sync
+    "Error del servidor ({status})": "Server error ({status})",
+    "guardar el cupón": "save the coupon",
+    "guardar el intento": "save the attempt",
+    "guardar la anulación": "save the void",
+    "Anulación duplicada": "Duplicate void",
+    // Login
+    "Ingreso de administración": "Admin login",
+    "Ingreso del comercio": "Shop login",
+    "Tu sesión terminó: volvé a ingresar.": "Your session ended: please log in again.",
+    "Contraseña": "Password",
+    "PIN": "PIN",
+    "Ingresar": "Log in",
+    "Contraseña incorrecta": "Wrong password",
+    "PIN incorrecto": "Wrong PIN",
+    "Este comercio todavía no tiene PIN: pedíselo a la oficina de turismo": "This shop has no PIN yet: ask the tourist office for one",
+    "Demasiados ingresos fallidos: probá de nuevo en {minutes} min": "Too many failed logins: try again in {minutes} min",
+    // Voids
+    "Quién anula (nombre del cajero/a)": "Who is voiding (cashier's name)",
+    "Motivo (ej. se canjeó el código equivocado)": "Reason (e.g. the wrong code was redeemed)",
+    "El turista puede volver a usar el código": "The tourist can use the code again",
+    "Cancelar": "Cancel",
+    "Anular canje": "Void redemption",
+    "Canje anulado: el código se puede volver a usar": "Redemption voided: the code can be used again",
+    "Canje no encontrado": "Redemption not found",
+    "El canje es de otro comercio": "The redemption belongs to another shop",
+    "El canje todavía no se sincronizó": "The redemption has not synced yet",
+    "Solo se pueden anular canjes de las últimas {n} h": "Only redemptions from the last {n} h can be voided",
+    "Indicá quién anula el canje": "Say who is voiding the redemption",
+    "Indicá el motivo": "Give the reason",
+    "No se pudo anular el canje: {error}": "Could not void the redemption: {error}",
+    // Merchant till
+    " (inactivo)": " (inactive)",
+    "Canjear": "Redeem",
+    "Métricas": "Metrics",
+    "Validar canje": "Validate redemption",
+    "Escaneá el QR del cliente o ingresá el código manualmente (incluye letra de control).": "Scan the customer's QR or type the code (including the check letter).",
+    "CÓDIGO (ej. L1A2B3C4DZ)": "CODE (e.g. L1A2B3C4DZ)",
+    "Los QR firmados se siguen validando.": "Signed QRs are still accepted.",
+    "Clave de verificación (cargada en este equipo)": "Verification key (set on this device)",
+    "Clave de verificación (la del emisor)": "Verification key (the issuer's)",
+    "Los QR firmados se validan sin conexión con la clave pública que publica la oficina de turismo (Admin).": "Signed QRs are checked offline with the public key the tourist office publishes (Admin).",
+    "Pegá la clave pública": "Paste the public key",
+    "códigos emitidos bloqueados": "issued codes blocked",
+    "No tenés cupones aún.": "You have no coupons yet.",
+    "{name}: {n} canjes en total": "{name}: {n} redemptions in total",
+    "Sincronización": "Sync",
+    "{n} canje(s) pendiente(s) de sincronizar": "{n} redemption(s) waiting to sync",
+    "Sincronizar ahora": "Sync now",
+    "Conflicto: {code} ya estaba canjeado.": "Conflict: {code} had already been redeemed.",
+    "Conflicto: {code} ya estaba canjeado en {name} a las {time}.": "Conflict: {code} had already been redeemed at {name} at {time}.",
+    "Conflicto: {code} ya estaba canjeado en otra caja a las {time}.": "Conflict: {code} had already been redeemed at another till at {time}.",
+    "Tu canje sin conexión fue a las {time}.": "Your offline redemption was at {time}.",
+    "Entendido": "Got it",
+    "Últimos canjes": "Latest redemptions",
+    "pendiente de sincronizar": "waiting to sync",
+    "conflicto": "conflict",
+    "anulado · código restaurado": "voided · code restored",
+    "anulado": "voided",
+    "Sin canjes registrados.": "No redemptions yet.",
+    "Canjes anulados": "Voided redemptions",
+    "(sesión de admin)": "(admin session)",
+    "código restaurado": "code restored",
+    "QR no reconocido": "QR not recognized",
+    "Canje registrado": "Redemption recorded",
+    "Canje registrado (pendiente de sincronizar)": "Redemption recorded (waiting to sync)",
+    "No se pudo registrar el canje: {error}": "Could not record the redemption: {error}",
+    "El código es de otro comercio": "The code belongs to another shop",
+    "Código anulado por el comercio": "Code voided by the shop",
+    "Código anulado por el turista": "Code cancelled by the tourist",
+    "Código vencido: el turista tiene que generar uno nuevo": "Code expired: the tourist has to get a new one",
+    "Código inválido (checksum)": "Invalid code (checksum)",
+    "Falta la clave de verificación": "The verification key is missing",
+    "QR inválido (firma)": "Invalid QR (signature)",
+    "Demasiados códigos inválidos en este equipo: probá de nuevo en {minutes} min": "Too many invalid codes on this device: try again in {minutes} min",
+    "Demasiados códigos inválidos en este comercio: probá de nuevo en {minutes} min": "Too many invalid codes at this shop: try again in {minutes} min",
+    // Coupon lifecycle
+    "borrador": "draft",
+    "activo": "active",
+    "pausado": "paused",
+    "próximamente": "coming soon",
+    "vencido": "expired",
+    "archivado": "archived",
+    "Publicar": "Publish",
+    "Archivar": "Archive",
+    "Pausar": "Pause",
+    "Reanudar": "Resume",
+    "Pausar y bloquear emitidos": "Pause and block issued codes",
+    "¿Archivar \"{title}\"? Sus códigos dejarán de canjearse.": "Archive \"{title}\"? Its codes will stop being redeemable.",
+    "No se puede pasar de {from} a {to}": "Cannot go from {from} to {to}",
+    "Cupón {state}": "Coupon {state}",
+    "El cupón tiene códigos emitidos: queda archivado": "The coupon has issued codes: it stays archived",
+    "El cupón tiene códigos emitidos: se archivó en lugar de borrarse": "The coupon has issued codes: it was archived instead of deleted",
+    "Elegí un comercio": "Choose a shop",
+    "Falta el título": "The title is missing",
+    "Falta el beneficio": "The benefit is missing",
+    "Fecha de inicio inválida": "Invalid start date",
+    "Fecha de fin inválida": "Invalid end date",
+    "La fecha de fin no puede ser anterior al inicio": "The end date cannot be before the start",
+    "La validez del código tiene que ser de al menos 1 hora": "Codes must be valid for at least 1 hour",
+    "Borrador guardado": "Draft saved",
+    "Cupón creado": "Coupon created",
+    "Cupón actualizado": "Coupon updated",
+    "Cupón duplicado como borrador": "Coupon duplicated as a draft",
+    "{n} min": "{n} min",
+    "{n} h": "{n} h",
+    "{n} días": "{n} days",
+    // Import results
+    "No hay filas válidas para importar": "There are no valid rows to import",
+    "{n} fila(s) importada(s)": "{n} row(s) imported",
+    "{n} fila(s) importada(s), {skipped} con errores omitida(s)": "{n} row(s) imported, {skipped} with errors skipped",
+    // Credentials
+    "El PIN tiene que tener entre 4 y 8 dígitos": "The PIN must have 4 to 8 digits",
+    "La contraseña tiene que tener al menos 8 caracteres": "The password must have at least 8 characters",
+    "Contraseña actualizada en este navegador": "Password updated on this browser",
+    "PIN actualizado en este navegador: cambialo también en la caja del comercio": "PIN updated on this browser: change it on the shop's till too",
+    // Analytics
+    "7 días": "7 days",
+    "30 días": "30 days",
+    "90 días": "90 days",
+    "a": "to",
+    "Todo": "All",
+    "Sin datos en el período": "No data in this period",
+    "Emitidos": "Issued",
+    "Canjes": "Redemptions",
+    "Conversión": "Conversion",
+    "Mediana": "Median",
+    "Métricas de la temporada": "Season metrics",
+    "Códigos emitidos": "Codes issued",
+    "Mediana emisión → canje": "Median issue → redemption",
+    "Canjes por día": "Redemptions per day",
+    "Canjes por hora (hora Argentina)": "Redemptions per hour (Argentina time)",
+    "Por cupón": "By coupon",
+    "Por localidad": "By town",
+    "Por rubro": "By category",
+    "{h} h {m} min": "{h} h {m} min",
+    // QR scanner
+    "Cámara no disponible: ingresá el código manualmente.": "Camera not available: type the code instead.",
+    "No pudimos acceder a la cámara: ingresá el código manualmente.": "We could not access the camera: type the code instead.",
+    "No se encontró un QR en la imagen.": "No QR found in the image.",
+    "No se pudo leer la imagen.": "Could not read the image.",
+    "Detener cámara": "Stop camera",
+    "Escanear con cámara": "Scan with camera",
+    "Leer desde foto": "Read from photo",
+    // Admin directory
+    "Comercios": "Shops",
+    "Nombre del comercio": "Shop name",
+    "Localidad": "Town",
+    "Rubro": "Category",
+    "Guardar cambios": "Save changes",
+    "Agregar comercio": "Add shop",
+    "Inactivo": "Inactive",
+    "Inactiva": "Inactive",
+    "Sin PIN": "No PIN",
+    "Editar": "Edit",
+    "Desactivar": "Deactivate",
+    "Reactivar": "Reactivate",
+    "Cambiar PIN": "Change PIN",
+    "Asignar PIN": "Set PIN",
+    "Nuevo PIN (4 a 8 dígitos)": "New PIN (4 to 8 digits)",
+    "Guardar PIN": "Save PIN",
+    "Localidades": "Towns",
+    "Rubros": "Categories",
+    "Nombre": "Name",
+    "Renombrar": "Rename",
+    "Agregar": "Add",
+    "Eliminar": "Delete",
+    // Coupon editor
+    "Editar cupón: {title}": "Edit coupon: {title}",
+    "Nuevo cupón": "New coupon",
+    "Título del cupón": "Coupon title",
+    "Beneficio (ej. 2x1, 10% OFF)": "Benefit (e.g. 2x1, 10% OFF)",
+    "Términos": "Terms",
+    "Título": "Title",
+    "Beneficio": "Benefit",
+    "Válido desde": "Valid from",
+    "Válido hasta (inclusive)": "Valid until (inclusive)",
+    "Cupo total": "Total cap",
+    "Cupo diario": "Daily cap",
+    "Límite por turista": "Per-tourist limit",
+    "Validez del código (horas)": "Code validity (hours)",
+    "Sin límite": "No limit",
+    "Horario de canje (hora Argentina)": "Redemption hours (Argentina time)",
+    "de": "from",
+    "Fechas excluidas (ej. 2025-12-24, 2025-12-31)": "Excluded dates (e.g. 2025-12-24, 2025-12-31)",
+    "Sin restricción de horario": "No time restriction",
+    "Traducciones (lo que quede vacío se muestra en español)": "Translations (blank fields show the Spanish text)",
+    "Guardar borrador": "Save draft",
+    "Crear cupón": "Create coupon",
+    // Data transfer
+    "Cupones": "Coupons",
+    "Exportar e importar": "Export and import",
+    "Todos los comercios": "All shops",
+    "Exportar": "Export",
+    "{n} filas": "{n} rows",
+    "Importar": "Import",
+    "CSV con encabezado ({columns}) o JSON": "CSV with a header ({columns}) or JSON",
+    "Vista previa": "Preview",
+    "Importar {n} fila(s) válida(s)": "Import {n} valid row(s)",
+    "Fila": "Row",
+    "Cupón": "Coupon",
+    "Acción": "Action",
+    "Errores": "Errors",
+    "actualizar": "update",
+    "crear": "create",
+    "No hay datos para importar": "There is no data to import",
+    "El JSON no tiene una lista de {dataset}": "The JSON has no {dataset} list",
+    "JSON inválido": "Invalid JSON",
+    "Faltan columnas: {columns}": "Missing columns: {columns}",
+    "Falta la columna name": "The name column is missing",
+    "Comercio desconocido: {value}": "Unknown shop: {value}",
+    "Comercio desconocido: (vacío)": "Unknown shop: (empty)",
+    "Estado inválido: {status}": "Invalid status: {status}",
+    "El estado se cambia desde la lista de cupones": "The status is changed from the coupon list",
+    "{column} debe ser un entero ≥ 0": "{column} must be an integer ≥ 0",
+    // Admin
+    "Contraseña de administración": "Admin password",
+    "Al cambiarla se cierran las demás sesiones de administración.": "Changing it logs out the other admin sessions.",
+    "Nueva contraseña": "New password",
+    "Cambiar": "Change",
+    "Intentos de canje sospechosos": "Suspicious redemption attempts",
+    "{n} o más códigos inválidos o ingresos fallidos en {minutes} minutos desde un mismo equipo.": "{n} or more invalid codes or failed logins within {minutes} minutes from the same device.",
+    "Sin ráfagas registradas.": "No bursts recorded.",
+    "Administración": "Administration",
+    "Equipo": "Device",
+    "{n} ingresos fallidos": "{n} failed logins",
+    "{n} códigos inválidos": "{n} invalid codes",
+    "bloqueado hasta {time}": "locked until {time}",
+    "\"{title}\" ya tiene códigos emitidos: se va a archivar en lugar de borrarse. ¿Continuar?": "\"{title}\" already has issued codes: it will be archived instead of deleted. Continue?",
+    "¿Eliminar \"{title}\"? No se puede deshacer.": "Delete \"{title}\"? This cannot be undone.",
+    "Duplicar": "Duplicate",
+    "Clave de verificación": "Verification key",
+    "Los equipos de comercio la reciben con los datos; en uno que no llega al servidor, pegala a mano.": "Shop devices get it with the data; on one that can't reach the server, paste it by hand.",
+    "Copiar clave": "Copy key",
+    "Todavía no hay clave del emisor: los QR llevan solo el código.": "No issuer key yet: QRs carry just the code.",
+    "Top comercios (canjes)": "Top shops (redemptions)",
+    "{n} canjes": "{n} redemptions",
+    // Demo guide
+    "Explorar cupones por localidad/rubro, con búsqueda y orden": "Browse coupons by town/category, with search and sorting",
+    "Emisión con QR/código único (con checksum)": "Issuing with a unique QR/code (with checksum)",
+    "Reutiliza código si ya fue emitido y no canjeado": "Reuses a code already issued and not redeemed",
+    "Mis cupones: vigentes, canjeados y vencidos; reabrir el QR o anular un código": "My coupons: valid, redeemed and expired; reopen the QR or cancel a code",
+    "Códigos con vencimiento opcional (horas desde la emisión)": "Codes with optional expiry (hours after issuing)",
+    "Canje manual (demo) con validación": "Manual redemption (demo) with validation",
+    "Anulación de canjes recientes con motivo y registro de auditoría": "Voiding of recent redemptions with a reason and an audit log",
+    "Acceso por rol: PIN por comercio y contraseña de admin (con hash), sesiones con vencimiento": "Role-based access: PIN per shop and admin password (hashed), sessions that expire",
+    "Bloqueo progresivo ante códigos inválidos repetidos y alerta de ráfagas en Admin": "Progressive lockout after repeated invalid codes and burst alerts in Admin",
+    "Métricas básicas por cupón/comercio": "Basic metrics per coupon/shop",
+    "Alta y edición de cupones (admin)": "Coupon creation and editing (admin)",
+    "Links directos a cupones (afiche con QR) y comercios": "Direct links to coupons (QR poster) and shops",
+    "Pantallas en español, inglés y portugués": "Screens in Spanish, English and Portuguese",
+    "Persistencia en localStorage": "Persistence in localStorage",
+    "Tests automáticos en runtime": "Automatic tests at runtime",
+    "Demo funcional (web) • Códigos con checksum • Persistencia local • Tests": "Working demo (web) • Codes with checksum • Local persistence • Tests",
+    "Flujos incluidos": "Included flows",
+    "Cómo presentar la demo": "How to present the demo",
+    "En {tourist}, generá un código y mostralo.": "In {tourist}, get a code and show it.",
+    "En {till} (con el PIN del comercio), ingresá ese código (incluida la letra final).": "In {till} (with the shop's PIN), type that code (including the last letter).",
+    "Repetí para ver {metrics} subir; en {admin} creá otro cupón al vuelo.": "Repeat to watch {metrics} go up; in {admin} create another coupon on the fly.",
+    "Tests automáticos": "Automatic tests",
+    "{passed}/{total} tests OK": "{passed}/{total} tests OK",
+    "Se empezó con los datos de demo.": "Started with the demo data.",
+    "Copia de respaldo en {key}.": "Backup copy in {key}.",
+    "y {n} más…": "and {n} more…",
+    "Descargar copia": "Download copy",
+    "Cerrar": "Close",
+  },
+  pt: {
+    // Shell
+    "Turista": "Turista",
+    "Comercio": "Comércio",
+    "Admin": "Admin",
+    "Salir": "Sair",
+    "Idioma": "Idioma",
+    "Cuponera Turística — MVP Mock": "Cupons Turísticos — MVP Mock",
+    "Página no encontrada": "Página não encontrada",
+    "Ir a los cupones": "Ir aos cupons",
+    "Sincronizando datos…": "Sincronizando dados…",
+    "No se pudo {what}: {error}": "Não foi possível {what}: {error}",
+    " (y {n} más)": " (e mais {n})",
+    "Reintentar": "Tentar de novo",
+    "cargar los datos": "carregar os dados",
+    "guardar el código": "salvar o código",
+    "Sin conexión con el servidor": "Sem conexão com o servidor",
+    "El servidor no responde": "O servidor não responde",
+    // Catalog
+    "Buscar cupón, beneficio o comercio": "Buscar cupom, benefício ou loja",
+    "Todas las localidades": "Todas as cidades",
+    "Todos los rubros": "Todas as categorias",
+    "Más nuevos": "Mais novos",
+    "Por vencer": "Vencendo",
+    "Más canjeados": "Mais usados",
+    "{n} cupones": "{n} cupons",
+    "No hay cupones vigentes para esta búsqueda.": "Não há cupons vigentes para esta busca.",
+    "Usar cupón": "Usar cupom",
+    "Ver código": "Ver código",
+    "Próximamente": "Em breve",
+    "Agotado": "Esgotado",
+    "Agotado por hoy": "Esgotado hoje",
+    "Quedan {n}": "Restam {n}",
+    "Hoy quedan {n}": "Restam {n} hoje",
+    "Desde {date}": "A partir de {date}",
+    // Issued code
+    "Mi cupón (emitido)": "Meu cupom (emitido)",
+    'Elegí un cupón y presioná "Usar cupón" para generar tu QR. Si ya lo generaste antes, verás el mismo código.':
+      'Escolha um cupom e toque em "Usar cupom" para gerar seu QR. Se você já gerou, verá o mesmo código.',
+    "Mostrá este QR en caja": "Mostre este QR no caixa",
+    "QR firmado": "QR assinado",
+    "Copiar código": "Copiar código",
+    "Ocultar": "Ocultar",
+    "Código válido por única vez": "Código de uso único",
+    "Vence en {time}": "Vence em {time}",
+    "Código válido {n} h": "Código válido por {n} h",
+    "Este código venció: generá uno nuevo desde el cupón.": "Este código venceu: gere um novo a partir do cupom.",
+    "Código vencido": "Código vencido",
+    "Código generado": "Código gerado",
+    "Ya tenías un código para este cupón": "Você já tinha um código para este cupom",
+    "Código copiado": "Código copiado",
+    // Wallet
+    "Mis cupones": "Meus cupons",
+    "Vigentes": "Vigentes",
+    "Canjeados": "Usados",
+    "Vencidos": "Vencidos",
+    "Ver QR": "Ver QR",
+    "Anular": "Cancelar",
+    "¿Anular el código {code}? Ya no se va a poder canjear.": "Cancelar o código {code}? Ele não poderá mais ser usado.",
+    "Código anulado": "Código cancelado",
+    "Anulado": "Cancelado",
+    "Cupón eliminado": "Cupom removido",
+    "Canje anulado": "Uso anulado",
+    "Emitido el {date}": "Emitido em {date}",
+    "Canjeado el {date}": "Usado em {date}",
+    "Todavía no generaste códigos.": "Você ainda não gerou códigos.",
+    "Código no encontrado": "Código não encontrado",
+    "Código ya canjeado": "Código já usado",
+    // Store refusals
+    "Cupón no encontrado": "Cupom não encontrado",
+    "Cupón no publicado": "Cupom não publicado",
+    "Cupón pausado": "Cupom pausado",
+    "Cupón aún no vigente": "Cupom ainda não vigente",
+    "Cupón vencido": "Cupom vencido",
+    "Cupón archivado": "Cupom arquivado",
+    "Cupos agotados": "Vagas esgotadas",
+    "Cupos del día agotados": "Vagas do dia esgotadas",
+    "Límite por persona alcanzado": "Limite por pessoa atingido",
+    // Coupon and merchant pages
+    "Cupón no disponible": "Cupom indisponível",
+    "Este cupón no existe.": "Este cupom não existe.",
+    "Ver otros cupones": "Ver outros cupons",
+    "Escaneá con la cámara del celular para obtener tu código": "Escaneie com a câmera do celular para obter seu código",
+    "Válido del {from} al {to}": "Válido de {from} a {to}",
+    "Imprimir afiche": "Imprimir cartaz",
+    'Presioná "{cta}" para ver tu QR.': 'Toque em "{cta}" para ver seu QR.',
+    "Más cupones de {name}": "Mais cupons de {name}",
+    "Comercio no disponible": "Loja indisponível",
+    "Ver todos los cupones": "Ver todos os cupons",
+    "Este comercio no tiene cupones vigentes.": "Esta loja não tem cupons vigentes.",
+    "Elegí un cupón para generar tu QR.": "Escolha um cupom para gerar seu QR.",
+    // Identity & wallet
+    "Mi identidad": "Minha identidade",
+    "Email o teléfono (opcional)": "E-mail ou telefone (opcional)",
+    "Guardar": "Salvar",
+    "Pasar mis cupones a otro dispositivo": "Passar meus cupons para outro aparelho",
+    "Exportar billetera": "Exportar carteira",
+    "Copiar": "Copiar",
+    "Pegá acá la billetera exportada (CTW1…)": "Cole aqui a carteira exportada (CTW1…)",
+    "Importar billetera": "Importar carteira",
+    "Contacto guardado": "Contato salvo",
+    "Contacto borrado": "Contato removido",
+    "Ingresá un email o un teléfono válido": "Informe um e-mail ou telefone válido",
+    "Código de billetera inválido": "Código de carteira inválido",
+    "Billetera importada ({n} códigos)": "Carteira importada ({n} códigos)",
+    "Billetera importada ({n} códigos, {refused} rechazados)": "Carteira importada ({n} códigos, {refused} recusados)",
+    // Schedule
+    "Todos los días": "Todos os dias",
+    "{from} a {to}": "{from} a {to}",
+    "de {from} a {to} h": "das {from} às {to} h",
+    " y ": " e ",
+    "excepto {dates}": "exceto {dates}",
+    "Dom": "Dom",
+    "Lun": "Seg",
+    "Mar": "Ter",
+    "Mié": "Qua",
+    "Jue": "Qui",
+    "Vie": "Sex",
+    "Sáb": "Sáb",
+    // Store refusals (till and admin)
+    "Fuera de horario (no válido el {date})": "Fora do horário (não válido em {date})",
+    "Fuera de horario (válido {when})": "Fora do horário (válido {when})",
+    // Directory
+    "guardar la localidad": "salvar a cidade",
+    "guardar el rubro": "salvar a categoria",
+    "Localidad guardada": "Cidade salva",
+    "Localidad no encontrada": "Cidade não encontrada",
+    "Localidad inválida": "Cidade inválida",
+    "Localidad reactivada": "Cidade reativada",
+    "Localidad desactivada": "Cidade desativada",
+    "Localidad eliminada": "Cidade excluída",
+    "Localidad en uso por {n} comercio(s): {names}": "Cidade usada por {n} comércio(s): {names}",
+    "Localidad en uso por {n} comercio(s) activo(s): {names}": "Cidade usada por {n} comércio(s) ativo(s): {names}",
+    "Rubro guardado": "Categoria salva",
+    "Rubro no encontrado": "Categoria não encontrada",
+    "Rubro inválido": "Categoria inválida",
+    "Rubro reactivado": "Categoria reativada",
+    "Rubro desactivado": "Categoria desativada",
+    "Rubro eliminado": "Categoria excluída",
+    "Rubro en uso por {n} comercio(s): {names}": "Categoria usada por {n} comércio(s): {names}",
+    "Rubro en uso por {n} comercio(s) activo(s): {names}": "Categoria usada por {n} comércio(s) ativo(s): {names}",
+    "Ya existe \"{name}\"": "\"{name}\" já existe",
+    "Falta el nombre": "Falta o nome",
+    "Comercio no encontrado": "Comércio não encontrado",
+    "Comercio creado": "Comércio criado",
+    "Comercio actualizado": "Comércio atualizado",
+    "Comercio reactivado": "Comércio reativado",
+    "Comercio desactivado": "Comércio desativado",
+    "guardar el comercio": "salvar o comércio",
+    // Saved data
+    "Los datos guardados están dañados": "Os dados salvos estão danificados",
+    "Datos de una versión más nueva de la app (v{version})": "Dados de uma versão mais nova do app (v{version})",
+    "Falló la migración desde v{version}": "A migração da v{version} falhou",
+    "Los datos guardados no son válidos": "Os dados salvos não são válidos",
+    "No se pudo acceder al almacenamiento local": "Não foi possível acessar o armazenamento local",
+    "{error} (no se pudo guardar la copia)": "{error} (não foi possível salvar a cópia)",
+    // Sync
+    "Error del servidor ({status})": "Erro do servidor ({status})",
+    "guardar el cupón": "salvar o cupom",
+    "guardar el intento": "salvar a tentativa",
+    "guardar la anulación": "salvar o cancelamento",
+    "Anulación duplicada": "Cancelamento duplicado",
+    // Login
+    "Ingreso de administración": "Acesso da administração",
+    "Ingreso del comercio": "Acesso do comércio",
+    "Tu sesión terminó: volvé a ingresar.": "Sua sessão terminou: entre novamente.",
+    "Contraseña": "Senha",
+    "PIN": "PIN",
+    "Ingresar": "Entrar",
+    "Contraseña incorrecta": "Senha incorreta",
+    "PIN incorrecto": "PIN incorreto",
+    "Este comercio todavía no tiene PIN: pedíselo a la oficina de turismo": "Este comércio ainda não tem PIN: peça à secretaria de turismo",
+    "Demasiados ingresos fallidos: probá de nuevo en {minutes} min": "Muitas tentativas de acesso falhas: tente de novo em {minutes} min",
+    // Voids
+    "Quién anula (nombre del cajero/a)": "Quem cancela (nome do caixa)",
+    "Motivo (ej. se canjeó el código equivocado)": "Motivo (ex.: foi resgatado o código errado)",
+    "El turista puede volver a usar el código": "O turista pode usar o código de novo",
+    "Cancelar": "Cancelar",
+    "Anular canje": "Cancelar resgate",
+    "Canje anulado: el código se puede volver a usar": "Resgate cancelado: o código pode ser usado de novo",
+    "Canje no encontrado": "Resgate não encontrado",
+    "El canje es de otro comercio": "O resgate é de outro comércio",
+    "El canje todavía no se sincronizó": "O resgate ainda não foi sincronizado",
+    "Solo se pueden anular canjes de las últimas {n} h": "Só é possível cancelar resgates das últimas {n} h",
+    "Indicá quién anula el canje": "Informe quem cancela o resgate",
+    "Indicá el motivo": "Informe o motivo",
+    "No se pudo anular el canje: {error}": "Não foi possível cancelar o resgate: {error}",
+    // Merchant till
+    " (inactivo)": " (inativo)",
+    "Canjear": "Resgatar",
+    "Métricas": "Métricas",
+    "Validar canje": "Validar resgate",
+    "Escaneá el QR del cliente o ingresá el código manualmente (incluye letra de control).": "Escaneie o QR do cliente ou digite o código (inclui a letra de controle).",
+    "CÓDIGO (ej. L1A2B3C4DZ)": "CÓDIGO (ex.: L1A2B3C4DZ)",
+    "Los QR firmados se siguen validando.": "Os QR assinados continuam sendo validados.",
+    "Clave de verificación (cargada en este equipo)": "Chave de verificação (carregada neste aparelho)",
+    "Clave de verificación (la del emisor)": "Chave de verificação (a do emissor)",
+    "Los QR firmados se validan sin conexión con la clave pública que publica la oficina de turismo (Admin).": "Os QR assinados são validados sem conexão com a chave pública publicada pela secretaria de turismo (Admin).",
+    "Pegá la clave pública": "Cole a chave pública",
+    "códigos emitidos bloqueados": "códigos emitidos bloqueados",
+    "No tenés cupones aún.": "Você ainda não tem cupons.",
+    "{name}: {n} canjes en total": "{name}: {n} resgates no total",
+    "Sincronización": "Sincronização",
+    "{n} canje(s) pendiente(s) de sincronizar": "{n} resgate(s) aguardando sincronização",
+    "Sincronizar ahora": "Sincronizar agora",
+    "Conflicto: {code} ya estaba canjeado.": "Conflito: {code} já tinha sido resgatado.",
+    "Conflicto: {code} ya estaba canjeado en {name} a las {time}.": "Conflito: {code} já tinha sido resgatado em {name} às {time}.",
+    "Conflicto: {code} ya estaba canjeado en otra caja a las {time}.": "Conflito: {code} já tinha sido resgatado em outro caixa às {time}.",
+    "Tu canje sin conexión fue a las {time}.": "Seu resgate sem conexão foi às {time}.",
+    "Entendido": "Entendi",
+    "Últimos canjes": "Últimos resgates",
+    "pendiente de sincronizar": "aguardando sincronização",
+    "conflicto": "conflito",
+    "anulado · código restaurado": "cancelado · código restaurado",
+    "anulado": "cancelado",
+    "Sin canjes registrados.": "Nenhum resgate registrado.",
+    "Canjes anulados": "Resgates cancelados",
+    "(sesión de admin)": "(sessão de admin)",
+    "código restaurado": "código restaurado",
+    "QR no reconocido": "QR não reconhecido",
+    "Canje registrado": "Resgate registrado",
+    "Canje registrado (pendiente de sincronizar)": "Resgate registrado (aguardando sincronização)",
+    "No se pudo registrar el canje: {error}": "Não foi possível registrar o resgate: {error}",
+    "El código es de otro comercio": "O código é de outro comércio",
+    "Código anulado por el comercio": "Código cancelado pelo comércio",
+    "Código anulado por el turista": "Código cancelado pelo turista",
+    "Código vencido: el turista tiene que generar uno nuevo": "Código vencido: o turista precisa gerar um novo",
+    "Código inválido (checksum)": "Código inválido (checksum)",
+    "Falta la clave de verificación": "Falta a chave de verificação",
+    "QR inválido (firma)": "QR inválido (assinatura)",
+    "Demasiados códigos inválidos en este equipo: probá de nuevo en {minutes} min": "Muitos códigos inválidos neste aparelho: tente de novo em {minutes} min",
+    "Demasiados códigos inválidos en este comercio: probá de nuevo en {minutes} min": "Muitos códigos inválidos neste comércio: tente de novo em {minutes} min",
+    // Coupon lifecycle
+    "borrador": "rascunho",
+    "activo": "ativo",
+    "pausado": "pausado",
+    "próximamente": "em breve",
+    "vencido": "vencido",
+    "archivado": "arquivado",
+    "Publicar": "Publicar",
+    "Archivar": "Arquivar",
+    "Pausar": "Pausar",
+    "Reanudar": "Retomar",
+    "Pausar y bloquear emitidos": "Pausar e bloquear emitidos",
+    "¿Archivar \"{title}\"? Sus códigos dejarán de canjearse.": "Arquivar \"{title}\"? Os códigos dele deixarão de ser resgatáveis.",
+    "No se puede pasar de {from} a {to}": "Não é possível passar de {from} para {to}",
+    "Cupón {state}": "Cupom {state}",
+    "El cupón tiene códigos emitidos: queda archivado": "O cupom tem códigos emitidos: continua arquivado",
+    "El cupón tiene códigos emitidos: se archivó en lugar de borrarse": "O cupom tem códigos emitidos: foi arquivado em vez de excluído",
+    "Elegí un comercio": "Escolha um comércio",
+    "Falta el título": "Falta o título",
+    "Falta el beneficio": "Falta o benefício",
+    "Fecha de inicio inválida": "Data de início inválida",
+    "Fecha de fin inválida": "Data de término inválida",
+    "La fecha de fin no puede ser anterior al inicio": "A data de término não pode ser anterior ao início",
+    "La validez del código tiene que ser de al menos 1 hora": "A validade do código precisa ser de pelo menos 1 hora",
+    "Borrador guardado": "Rascunho salvo",
+    "Cupón creado": "Cupom criado",
+    "Cupón actualizado": "Cupom atualizado",
+    "Cupón duplicado como borrador": "Cupom duplicado como rascunho",
+    "{n} min": "{n} min",
+    "{n} h": "{n} h",
+    "{n} días": "{n} dias",
+    // Import results
+    "No hay filas válidas para importar": "Não há linhas válidas para importar",
+    "{n} fila(s) importada(s)": "{n} linha(s) importada(s)",
+    "{n} fila(s) importada(s), {skipped} con errores omitida(s)": "{n} linha(s) importada(s), {skipped} com erros ignorada(s)",
+    // Credentials
+    "El PIN tiene que tener entre 4 y 8 dígitos": "O PIN precisa ter entre 4 e 8 dígitos",
+    "La contraseña tiene que tener al menos 8 caracteres": "A senha precisa ter pelo menos 8 caracteres",
+    "Contraseña actualizada en este navegador": "Senha atualizada neste navegador",
+    "PIN actualizado en este navegador: cambialo también en la caja del comercio": "PIN atualizado neste navegador: altere-o também no caixa do comércio",
+    // Analytics
+    "7 días": "7 dias",
+    "30 días": "30 dias",
+    "90 días": "90 dias",
+    "a": "a",
+    "Todo": "Tudo",
+    "Sin datos en el período": "Sem dados no período",
+    "Emitidos": "Emitidos",
+    "Canjes": "Resgates",
+    "Conversión": "Conversão",
+    "Mediana": "Mediana",
+    "Métricas de la temporada": "Métricas da temporada",
+    "Códigos emitidos": "Códigos emitidos",
+    "Mediana emisión → canje": "Mediana emissão → resgate",
+    "Canjes por día": "Resgates por dia",
+    "Canjes por hora (hora Argentina)": "Resgates por hora (horário da Argentina)",
+    "Por cupón": "Por cupom",
+    "Por localidad": "Por localidade",
+    "Por rubro": "Por categoria",
+    "{h} h {m} min": "{h} h {m} min",
+    // QR scanner
+    "Cámara no disponible: ingresá el código manualmente.": "Câmera indisponível: digite o código.",
+    "No pudimos acceder a la cámara: ingresá el código manualmente.": "Não conseguimos acessar a câmera: digite o código.",
+    "No se encontró un QR en la imagen.": "Nenhum QR encontrado na imagem.",
+    "No se pudo leer la imagen.": "Não foi possível ler a imagem.",
+    "Detener cámara": "Parar câmera",
+    "Escanear con cámara": "Escanear com a câmera",
+    "Leer desde foto": "Ler de uma foto",
+    // Admin directory
+    "Comercios": "Comércios",
+    "Nombre del comercio": "Nome do comércio",
+    "Localidad": "Localidade",
+    "Rubro": "Categoria",
+    "Guardar cambios": "Salvar alterações",
+    "Agregar comercio": "Adicionar comércio",
+    "Inactivo": "Inativo",
+    "Inactiva": "Inativa",
+    "Sin PIN": "Sem PIN",
+    "Editar": "Editar",
+    "Desactivar": "Desativar",
+    "Reactivar": "Reativar",
+    "Cambiar PIN": "Alterar PIN",
+    "Asignar PIN": "Definir PIN",
+    "Nuevo PIN (4 a 8 dígitos)": "Novo PIN (4 a 8 dígitos)",
+    "Guardar PIN": "Salvar PIN",
+    "Localidades": "Localidades",
+    "Rubros": "Categorias",
+    "Nombre": "Nome",
+    "Renombrar": "Renomear",
+    "Agregar": "Adicionar",
+    "Eliminar": "Excluir",
+    // Coupon editor
+    "Editar cupón: {title}": "Editar cupom: {title}",
+    "Nuevo cupón": "Novo cupom",
+    "Título del cupón": "Título do cupom",
+    "Beneficio (ej. 2x1, 10% OFF)": "Benefício (ex.: 2x1, 10% OFF)",
+    "Términos": "Termos",
+    "Título": "Título",
+    "Beneficio": "Benefício",
+    "Válido desde": "Válido de",
+    "Válido hasta (inclusive)": "Válido até (inclusive)",
+    "Cupo total": "Limite total",
+    "Cupo diario": "Limite diário",
+    "Límite por turista": "Limite por turista",
+    "Validez del código (horas)": "Validade do código (horas)",
+    "Sin límite": "Sem limite",
+    "Horario de canje (hora Argentina)": "Horário de resgate (horário da Argentina)",
+    "de": "das",
+    "Fechas excluidas (ej. 2025-12-24, 2025-12-31)": "Datas excluídas (ex.: 2025-12-24, 2025-12-31)",
+    "Sin restricción de horario": "Sem restrição de horário",
+    "Traducciones (lo que quede vacío se muestra en español)": "Traduções (o que ficar vazio aparece em espanhol)",
+    "Guardar borrador": "Salvar rascunho",
+    "Crear cupón": "Criar cupom",
+    // Data transfer
+    "Cupones": "Cupons",
+    "Exportar e importar": "Exportar e importar",
+    "Todos los comercios": "Todos os comércios",
+    "Exportar": "Exportar",
+    "{n} filas": "{n} linhas",
+    "Importar": "Importar",
+    "CSV con encabezado ({columns}) o JSON": "CSV com cabeçalho ({columns}) ou JSON",
+    "Vista previa": "Pré-visualizar",
+    "Importar {n} fila(s) válida(s)": "Importar {n} linha(s) válida(s)",
+    "Fila": "Linha",
+    "Cupón": "Cupom",
+    "Acción": "Ação",
+    "Errores": "Erros",
+    "actualizar": "atualizar",
+    "crear": "criar",
+    "No hay datos para importar": "Não há dados para importar",
+    "El JSON no tiene una lista de {dataset}": "O JSON não tem uma lista de {dataset}",
+    "JSON inválido": "JSON inválido",
+    "Faltan columnas: {columns}": "Faltam colunas: {columns}",
+    "Falta la columna name": "Falta a coluna name",
+    "Comercio desconocido: {value}": "Comércio desconhecido: {value}",
+    "Comercio desconocido: (vacío)": "Comércio desconhecido: (vazio)",
+    "Estado inválido: {status}": "Status inválido: {status}",
+    "El estado se cambia desde la lista de cupones": "O status é alterado na lista de cupons",
+    "{column} debe ser un entero ≥ 0": "{column} deve ser um inteiro ≥ 0",
+    // Admin
+    "Contraseña de administración": "Senha de administração",
+    "Al cambiarla se cierran las demás sesiones de administración.": "Ao alterá-la, as outras sessões de administração são encerradas.",
+    "Nueva contraseña": "Nova senha",
+    "Cambiar": "Alterar",
+    "Intentos de canje sospechosos": "Tentativas de resgate suspeitas",
+    "{n} o más códigos inválidos o ingresos fallidos en {minutes} minutos desde un mismo equipo.": "{n} ou mais códigos inválidos ou acessos malsucedidos em {minutes} minutos no mesmo aparelho.",
+    "Sin ráfagas registradas.": "Nenhuma rajada registrada.",
+    "Administración": "Administração",
+    "Equipo": "Aparelho",
+    "{n} ingresos fallidos": "{n} acessos malsucedidos",
+    "{n} códigos inválidos": "{n} códigos inválidos",
+    "bloqueado hasta {time}": "bloqueado até {time}",
+    "\"{title}\" ya tiene códigos emitidos: se va a archivar en lugar de borrarse. ¿Continuar?": "\"{title}\" já tem códigos emitidos: será arquivado em vez de excluído. Continuar?",
+    "¿Eliminar \"{title}\"? No se puede deshacer.": "Excluir \"{title}\"? Não é possível desfazer.",
+    "Duplicar": "Duplicar",
+    "Clave de verificación": "Chave de verificação",
+    "Los equipos de comercio la reciben con los datos; en uno que no llega al servidor, pegala a mano.": "Os aparelhos de comércio a recebem com os dados; em um que não alcança o servidor, cole-a à mão.",
+    "Copiar clave": "Copiar chave",
+    "Todavía no hay clave del emisor: los QR llevan solo el código.": "Ainda não há chave do emissor: os QR levam apenas o código.",
+    "Top comercios (canjes)": "Principais comércios (resgates)",
+    "{n} canjes": "{n} resgates",
+    // Demo guide
+    "Explorar cupones por localidad/rubro, con búsqueda y orden": "Explorar cupons por localidade/categoria, com busca e ordenação",
+    "Emisión con QR/código único (con checksum)": "Emissão com QR/código único (com checksum)",
+    "Reutiliza código si ya fue emitido y no canjeado": "Reutiliza o código se já foi emitido e não resgatado",
+    "Mis cupones: vigentes, canjeados y vencidos; reabrir el QR o anular un código": "Meus cupons: válidos, resgatados e vencidos; reabrir o QR ou cancelar um código",
+    "Códigos con vencimiento opcional (horas desde la emisión)": "Códigos com vencimento opcional (horas após a emissão)",
+    "Canje manual (demo) con validación": "Resgate manual (demo) com validação",
+    "Anulación de canjes recientes con motivo y registro de auditoría": "Cancelamento de resgates recentes com motivo e registro de auditoria",
+    "Acceso por rol: PIN por comercio y contraseña de admin (con hash), sesiones con vencimiento": "Acesso por perfil: PIN por comércio e senha de admin (com hash), sessões com vencimento",
+    "Bloqueo progresivo ante códigos inválidos repetidos y alerta de ráfagas en Admin": "Bloqueio progressivo após códigos inválidos repetidos e alerta de rajadas no Admin",
+    "Métricas básicas por cupón/comercio": "Métricas básicas por cupom/comércio",
+    "Alta y edición de cupones (admin)": "Criação e edição de cupons (admin)",
+    "Links directos a cupones (afiche con QR) y comercios": "Links diretos para cupons (cartaz com QR) e comércios",
+    "Pantallas en español, inglés y portugués": "Telas em espanhol, inglês e português",
+    "Persistencia en localStorage": "Persistência no localStorage",
+    "Tests automáticos en runtime": "Testes automáticos em tempo de execução",
+    "Demo funcional (web) • Códigos con checksum • Persistencia local • Tests": "Demo funcional (web) • Códigos com checksum • Persistência local • Testes",
+    "Flujos incluidos": "Fluxos incluídos",
+    "Cómo presentar la demo": "Como apresentar a demo",
+    "En {tourist}, generá un código y mostralo.": "Em {tourist}, gere um código e mostre-o.",
+    "En {till} (con el PIN del comercio), ingresá ese código (incluida la letra final).": "Em {till} (com o PIN do comércio), digite esse código (incluindo a letra final).",
+    "Repetí para ver {metrics} subir; en {admin} creá otro cupón al vuelo.": "Repita para ver as {metrics} subirem; no {admin} crie outro cupom na hora.",
+    "Tests automáticos": "Testes automáticos",
+    "{passed}/{total} tests OK": "{passed}/{total} testes OK",
+    "Se empezó con los datos de demo.": "Começou com os dados de demo.",
+    "Copia de respaldo en {key}.": "Cópia de segurança em {key}.",
+    "y {n} más…": "e mais {n}…",
+    "Descargar copia": "Baixar cópia",
+    "Cerrar": "Fechar",
+  },
+};
+
+const interpolate = (text, vars = {}) => text.replace(/\{(\w+)\}/g, (m, k) => (k in vars ? String(vars[k]) : m));
+
+// lang -> t(text, vars). A var may be a function of t, for parts that need translating too
+// (store results are built before anyone knows the language: { state: (t) => t("pausado") })
+const translate = (lang) => {
+  const t = (text, vars = {}) => {
+    const values = Object.entries(vars).map(([k, v]) => [k, typeof v === "function" ? v(t) : v]);
+    return interpolate(MESSAGES[lang]?.[text] ?? text, Object.fromEntries(values));
+  };
+  return t;
+};
+
+// Translated text with React nodes in place of some {vars}: "En {where}, …" -> ["En ", <b>…</b>, ", …"]
+const richText = (t, text, nodes) =>
+  t(text)
+    .split(/(\{\w+\})/)
+    .map((part, i) => {
+      const key = part.match(/^\{(\w+)\}$/)?.[1];
+      return key in nodes ? <React.Fragment key={i}>{nodes[key]}</React.Fragment> : part;
+    });
+
+// lang -> { date, time, number, percent }; date accepts "YYYY-MM-DD" keys or timestamps
+function formatters(lang) {
+  const locale = LANGUAGES[lang]?.locale || LANGUAGES.es.locale;
+  const day = new Intl.DateTimeFormat(locale, { dateStyle: "short", timeZone: TIME_ZONE });
+  const clock = new Intl.DateTimeFormat(locale, { timeStyle: "short", timeZone: TIME_ZONE });
+  const toDate = (v) => (/^\d{4}-\d{2}-\d{2}$/.test(v) ? new Date(`${v}T12:00:00-03:00`) : new Date(v ?? NaN));
+  // Missing or unparseable values render as "—" instead of throwing from Intl
+  const safe = (format) => (v) => {
+    const d = toDate(v);
+    return Number.isNaN(d.getTime()) ? "—" : format.format(d);
+  };
+  return {
+    date: safe(day),
+    time: safe(clock),
+    number: (n, digits = 0) => new Intl.NumberFormat(locale, { maximumFractionDigits: digits }).format(n),
+    percent: (ratio) => new Intl.NumberFormat(locale, { style: "percent" }).format(ratio),
+  };
+}
+
+// Coupon with its translated title/benefit/terms (coupon.i18n[lang]) where the admin filled them
+function localizeCoupon(coupon, lang) {
+  const fields = Object.entries(coupon.i18n?.[lang] || {}).filter(([, v]) => v?.trim());
+  return fields.length ? { ...coupon, ...Object.fromEntries(fields) } : coupon;
+}
+
+function initialLang() {
+  try {
+    const saved = localStorage.getItem(LANG_KEY);
+    if (LANGUAGES[saved]) return saved;
+  } catch {
+    // No storage: use the browser language
+  }
+  const browser = (typeof navigator !== "undefined" && navigator.language?.slice(0, 2)) || "es";
+  return LANGUAGES[browser] ? browser : "es";
+}
+
+const i18nValue = (lang, setLang = () => {}) => ({ lang, setLang, t: translate(lang), ...formatters(lang) });
+const I18nContext = createContext(i18nValue("es"));
+const useI18n = () => useContext(I18nContext);
+
+function I18nProvider({ children }) {
+  const [lang, setLang] = useState(initialLang);
+  useEffect(() => {
+    document.documentElement.lang = lang;
+    try {
+      localStorage.setItem(LANG_KEY, lang);
+    } catch {
+      // Private mode: the choice lasts for this session
+    }
+  }, [lang]);
+  const value = useMemo(() => i18nValue(lang, setLang), [lang]);
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+}
+
+function LanguageSwitcher() {
+  const { lang, setLang, t } = useI18n();
+  return (
+    <select
+      aria-label={t("Idioma")}
+      className="border rounded-xl px-2 py-2 text-sm bg-white"
+      value={lang}
+      onChange={(e) => setLang(e.target.value)}
+    >
+      {Object.entries(LANGUAGES).map(([code, { label }]) => (
+        <option key={code} value={code}>
+          {label}
+        </option>
+      ))}
+    </select>
+  );
+}
+
 // === Domain Mock Data ===========================================================
-const LOCALITIES = [
+const initialLocalities = [
   { id: "gesell", name: "Villa Gesell" },
   { id: "mdlp", name: "Mar de las Pampas" },
   { id: "marazul", name: "Mar Azul" },
   { id: "lasgaviotas", name: "Las Gaviotas" },
 ];
 
-const CATEGORIES = [
+const initialCategories = [
   { id: "food", name: "Gastronomía" },
   { id: "stay", name: "Hospedaje" },
   { id: "activity", name: "Actividades" },
@@ -82,6 +1041,10 @@ const initialMerchants = [
   { id: "m3", name: "Aventura DunaBuggy", locality: "gesell", category: "activity" },
 ];
 
+// Seed coupons run from the start of the demo season until a few months from today, so
+// the catalog never runs dry however long after the seed the demo is opened
+const seedEnd = (days) => new Date(Date.now() + days * 86400000).toISOString().slice(0, 10);
+
 const initialCoupons = [
   {
     id: "c1",
@@ -90,8 +1053,9 @@ const initialCoupons = [
     benefit: "Llevá 2, pagás 1 (cucuruchos estándar)",
     terms: "Válido todos los días de 16 a 19 h. No acumulable.",
     startsAt: "2025-09-01",
-    endsAt: "2025-12-31",
+    endsAt: seedEnd(120),
     status: "active",
+    schedule: { hours: [{ from: "16:00", to: "19:00" }] },
   },
   {
     id: "c2",
@@ -100,7 +1064,7 @@ const initialCoupons = [
     benefit: "10% de descuento sobre el total de la mesa",
     terms: "Pago en efectivo. Excluye vinos premium.",
     startsAt: "2025-09-01",
-    endsAt: "2025-11-30",
+    endsAt: seedEnd(90),
     status: "active",
   },
   {
@@ -110,416 +1074,4067 @@ const initialCoupons = [
     benefit: "3 entradas al precio de 2",
     terms: "Con reserva previa. Cupos limitados.",
     startsAt: "2025-09-01",
-    endsAt: "2025-10-31",
+    endsAt: seedEnd(60),
     status: "active",
+    maxRedemptions: 20,
+    maxPerUser: 1,
   },
 ];
 
+// Demo credentials, stored hashed (see Access control): one admin password and one PIN
+// shared by the seed merchants, handed out with the demo. Change them from Admin on each
+// browser that presents it.
+const seedCredential = (id, salt, hash, merchantId) => ({
+  id,
+  role: merchantId ? "merchant" : "admin",
+  ...(merchantId ? { merchantId } : {}),
+  salt,
+  hash,
+  iterations: 100000,
+  updatedAt: "2025-09-01T00:00:00.000Z",
+});
+
+const initialCredentials = [
+  seedCredential("admin", "OOPrsAh0H0DDzD0H6rGZTg", "ZTqnEhH72Y7rO6ejmAkP_7xW1Vas4Ryn-xOI8GkrG_k"),
+  seedCredential("merchant:m1", "NtoCBvcY8SrenjSQKfqfXw", "SU477lswoVUoT_mNIK5zLLgJRBRo3wHxfxLsHVKqac8", "m1"),
+  seedCredential("merchant:m2", "AfcOUB5LSFI3pSKJgbWHqQ", "YvQYZXU7CspBQMeg-JORvg-dJbwHI10vJwHGOx-W5zc", "m2"),
+  seedCredential("merchant:m3", "BLa9izzlhpGM5Kdq30B52w", "VVRklD5I5Hs-nUOEB33QXUVx8nfxn4eEKK5q8JOm4Ek", "m3"),
+];
+
 // === Helpers ====================================================================
 const STORAGE_KEY = "ct-mvp-store-v1";
-const clampUpper = (s, n) => s.slice(0, n).toUpperCase();
+const BASE36 = "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ";
 
-// Very simple base36 checksum (sum char codes % 36)
+// Legacy (v1) check: sum of char codes % 36. Blind to transpositions; kept so that
+// 9-char codes issued before the versioned format still validate.
 export function checksum36(str) {
-  const alphabet = "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ";
   const sum = str.split("").reduce((acc, ch) => acc + ch.charCodeAt(0), 0);
-  return alphabet[sum % 36];
+  return BASE36[sum % 36];
 }
 
-export function generateCode(existingSet) {
-  // Ensure uniqueness & add checksum char
-  let base = clampUpper(uuidv4().replace(/-/g, ""), 8);
-  while (existingSet.has(base) || existingSet.has(base + checksum36(base))) {
-    base = clampUpper(uuidv4().replace(/-/g, ""), 8);
+// Luhn mod 36 check character: catches every single-character error and every
+// adjacent transposition except 0<->Z.
+function luhn36(str) {
+  let factor = 2;
+  let sum = 0;
+  for (let i = str.length - 1; i >= 0; i--) {
+    const addend = factor * BASE36.indexOf(str[i]);
+    sum += Math.floor(addend / 36) + (addend % 36);
+    factor = factor === 2 ? 1 : 2;
   }
-  return base + checksum36(base);
+  return BASE36[(36 - (sum % 36)) % 36];
 }
 
-function usePersistentState(initial) {
-  const [state, setState] = useState(() => {
-    try {
-      const raw = localStorage.getItem(STORAGE_KEY);
-      if (!raw) return initial;
-      const parsed = JSON.parse(raw);
-      return { ...initial, ...parsed };
-    } catch {
-      return initial;
-    }
-  });
-
-  useEffect(() => {
-    try {
-      localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
-    } catch {}
-  }, [state]);
+// Current code format: version marker + 8 random base36 chars + Luhn check (10 chars).
+// v1 codes are 8 hex chars + checksum36, so they never start with the marker.
+const CODE_VERSION = "L";
+const CODE_FORMAT = /^([0-9A-Z]{9}|L[0-9A-Z]{9})$/;
 
-  return [state, setState];
+// Check character matches the code's own scheme (v2 Luhn or legacy v1)
+function isValidCheck(code) {
+  const body = code.slice(0, -1);
+  const check = code.slice(-1);
+  if (code.length === 10 && code[0] === CODE_VERSION) return luhn36(body) === check;
+  if (code.length === 9) return checksum36(body) === check;
+  return false;
 }
 
-// === Demo Store (App State) =====================================================
-function useDemoStore() {
-  // Simulate a session user (tourist)
-  const [sessionUserId] = useState(() => uuidv4());
-
-  const [store, setStore] = usePersistentState({
-    merchants: initialMerchants,
-    coupons: initialCoupons,
-    redemptions: [], // {code,couponId,issuedAt,redeemedAt,userId}
-    issued: [], // {code,couponId,issuedAt,userId}
-  });
+function randomBase36(n) {
+  let out = "";
+  while (out.length < n) {
+    // 252 = 7 * 36: reject the tail so every char is equally likely
+    for (const b of crypto.getRandomValues(new Uint8Array(n))) if (b < 252 && out.length < n) out += BASE36[b % 36];
+  }
+  return out;
+}
 
-  // Build a quick lookup for uniqueness
-  const existingCodes = useMemo(() => {
-    const set = new Set();
-    store.issued.forEach((r) => set.add(r.code));
-    store.redemptions.forEach((r) => set.add(r.code));
-    return set;
-  }, [store.issued, store.redemptions]);
+// Calendar parts in TIME_ZONE (see i18n)
+const zonedFormat = new Intl.DateTimeFormat("en-US", {
+  timeZone: TIME_ZONE,
+  year: "numeric",
+  month: "2-digit",
+  day: "2-digit",
+  weekday: "short",
+  hour: "2-digit",
+  minute: "2-digit",
+  hourCycle: "h23",
+});
+const WEEKDAY_INDEX = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
 
-  const createCoupon = (coupon) => {
-    setStore((prev) => ({ ...prev, coupons: [...prev.coupons, { ...coupon, id: uuidv4(), status: "active" }] }));
+// { date: "YYYY-MM-DD", weekday: 0 (domingo)..6, minutes: since midnight } in Argentina time
+function zonedParts(d) {
+  const p = Object.fromEntries(zonedFormat.formatToParts(d).map((x) => [x.type, x.value]));
+  return {
+    date: `${p.year}-${p.month}-${p.day}`,
+    weekday: WEEKDAY_INDEX[p.weekday],
+    minutes: Number(p.hour) * 60 + Number(p.minute),
   };
+}
 
-  const hasIssuedActive = (couponId) =>
-    store.issued.find(
-      (r) => r.couponId === couponId && r.userId === sessionUserId && !store.redemptions.find((x) => x.code === r.code)
-    );
+// Calendar day (YYYY-MM-DD), comparable with coupon startsAt/endsAt
+const dateKey = (d) => zonedParts(d).date;
 
-  const issueCoupon = (couponId) => {
-    // If user already has an unredeemed issuance for this coupon, reuse it
-    const existing = hasIssuedActive(couponId);
-    if (existing) return { record: existing, reused: true };
+// Coupon state from its lifecycle status and validity window (both ends inclusive).
+// Draft/archived win over the window; a paused coupon past its end is just expired.
+function couponState(coupon, now = new Date()) {
+  if (coupon.status === "draft" || coupon.status === "archived") return coupon.status;
+  const today = dateKey(now);
+  if (coupon.startsAt && today < coupon.startsAt) return "scheduled";
+  if (coupon.endsAt && today > coupon.endsAt) return "expired";
+  if (coupon.status === "paused") return "paused";
+  return "active";
+}
 
-    const code = generateCode(existingCodes);
-    const now = new Date().toISOString();
-    const record = { code, couponId, issuedAt: now, userId: sessionUserId };
-    setStore((prev) => ({ ...prev, issued: [record, ...prev.issued] }));
-    return { record, reused: false };
+const COUPON_STATES = {
+  draft: { label: "borrador", message: "Cupón no publicado" },
+  active: { label: "activo" },
+  paused: { label: "pausado", message: "Cupón pausado" },
+  scheduled: { label: "próximamente", message: "Cupón aún no vigente" },
+  expired: { label: "vencido", message: "Cupón vencido" },
+  archived: { label: "archivado", message: "Cupón archivado" },
+};
+
+// Allowed lifecycle moves (coupon.status), with the label of the action
+const COUPON_TRANSITIONS = {
+  draft: { active: "Publicar", archived: "Archivar" },
+  active: { paused: "Pausar", archived: "Archivar" },
+  paused: { active: "Reanudar", archived: "Archivar" },
+  archived: {},
+};
+
+// Admin editor checks -> refusal or null. Validity days are inclusive, so a one-day
+// coupon has endsAt === startsAt.
+const isDateKey = (v) => /^\d{4}-\d{2}-\d{2}$/.test(v || "") && !isNaN(new Date(`${v}T00:00`));
+
+function couponFormRefusal(coupon) {
+  if (!coupon.merchantId) return { ok: false, message: "Elegí un comercio" };
+  if (!coupon.title?.trim()) return { ok: false, message: "Falta el título" };
+  if (!coupon.benefit?.trim()) return { ok: false, message: "Falta el beneficio" };
+  if (!isDateKey(coupon.startsAt)) return { ok: false, message: "Fecha de inicio inválida" };
+  if (!isDateKey(coupon.endsAt)) return { ok: false, message: "Fecha de fin inválida" };
+  if (coupon.endsAt < coupon.startsAt) return { ok: false, message: "La fecha de fin no puede ser anterior al inicio" };
+  if (coupon.codeTtlHours != null && !(Number.isInteger(coupon.codeTtlHours) && coupon.codeTtlHours > 0)) {
+    return { ok: false, message: "La validez del código tiene que ser de al menos 1 hora" };
+  }
+  return null;
+}
+
+// Deleting is only safe while no code was handed out; otherwise the coupon is archived
+const hasCodes = (store, couponId) =>
+  store.issued.some((r) => r.couponId === couponId) || store.redemptions.some((r) => r.couponId === couponId);
+
+// What deleting a coupon does -> refusal, or { ok, message, action: "archive" | "delete", coupon }
+// where coupon is the tombstoned copy to save (deletedAt, so the delete reaches other tabs)
+function couponRemoval(store, coupon, now = new Date()) {
+  if (!coupon) return { ok: false, message: "Cupón no encontrado" };
+  if (!hasCodes(store, coupon.id)) {
+    return { ok: true, message: "Cupón eliminado", action: "delete", coupon: { ...coupon, deletedAt: now.toISOString() } };
+  }
+  if (coupon.status === "archived") return { ok: false, message: "El cupón tiene códigos emitidos: queda archivado" };
+  return { ok: true, message: "El cupón tiene códigos emitidos: se archivó en lugar de borrarse", action: "archive" };
+}
+
+// Refusal for issuing or redeeming a coupon right now, or null when allowed.
+// Pausing keeps honoring codes already issued unless the admin blocked them.
+function couponRefusal(coupon, action, now = new Date()) {
+  const state = couponState(coupon, now);
+  if (state === "active") return null;
+  if (state === "paused" && action === "redeem" && !coupon.pauseBlocksIssued) return null;
+  return { ok: false, message: COUPON_STATES[state].message };
+}
+
+// With coupon.codeTtlHours set, a code lives that long after issuance. The expiry is
+// stamped on the issued record, so a later edit of the coupon doesn't move it.
+const CODE_EXPIRED = { ok: false, message: "Código vencido: el turista tiene que generar uno nuevo" };
+
+const codeExpiry = (coupon, issuedAt) =>
+  coupon.codeTtlHours ? new Date(new Date(issuedAt).getTime() + coupon.codeTtlHours * 3600000).toISOString() : null;
+
+const isCodeExpired = (record, now = new Date()) => Boolean(record.expiresAt) && now >= new Date(record.expiresAt);
+
+// Remaining redemptions for a coupon's caps; null means that cap is not set.
+// Caps count redemptions (issued codes don't reserve stock):
+// maxRedemptions overall, maxPerDay per calendar day, maxPerUser per tourist.
+function couponStock(coupon, redemptions, now = new Date()) {
+  const mine = redemptions.filter((r) => r.couponId === coupon.id && isCounted(r));
+  const today = dateKey(now);
+  const left = (max, used) => (max == null ? null : Math.max(0, max - used));
+  return {
+    total: left(coupon.maxRedemptions, mine.length),
+    today: left(coupon.maxPerDay, mine.filter((r) => dateKey(new Date(r.redeemedAt)) === today).length),
   };
+}
+
+// Refusal when a cap is already reached for this coupon (and tourist), or null
+function limitRefusal(coupon, redemptions, userId, now = new Date()) {
+  const stock = couponStock(coupon, redemptions, now);
+  if (stock.total === 0) return { ok: false, message: "Cupos agotados" };
+  if (stock.today === 0) return { ok: false, message: "Cupos del día agotados" };
+  if (coupon.maxPerUser != null) {
+    const used = redemptions.filter((r) => r.couponId === coupon.id && r.userId === userId && isCounted(r)).length;
+    if (used >= coupon.maxPerUser) return { ok: false, message: "Límite por persona alcanzado" };
+  }
+  return null;
+}
+
+// === Schedule rules ============================================================
+// coupon.schedule = { weekdays: [0..6], hours: [{ from: "16:00", to: "19:00" }], blackoutDates: ["YYYY-MM-DD"] }
+// Every part is optional: no weekdays means every day, no hours means all day.
+// A range with from > to runs past midnight (e.g. 20:00–02:00).
+const WEEKDAY_NAMES = ["Dom", "Lun", "Mar", "Mié", "Jue", "Vie", "Sáb"];
 
-  const redeemCode = (code) => {
-    // validate checksum
-    const body = code.slice(0, -1);
-    const check = code.slice(-1);
-    if (!body || checksum36(body) !== check) {
-      return { ok: false, message: "Código inválido (checksum)" };
+const toMinutes = (hhmm) => {
+  const [h, m] = hhmm.split(":").map(Number);
+  return h * 60 + (m || 0);
+};
+
+const formatHour = (hhmm) => (hhmm.endsWith(":00") ? String(Number(hhmm.slice(0, 2))) : hhmm);
+
+const formatDay = (key) => `${key.slice(8, 10)}/${key.slice(5, 7)}`;
+
+const inRange = ({ from, to }, minutes) => {
+  const a = toMinutes(from);
+  const b = toMinutes(to);
+  return a <= b ? minutes >= a && minutes < b : minutes >= a || minutes < b;
+};
+
+// t: see i18n; the summaries default to Spanish
+function weekdaysSummary(weekdays, t = translate("es")) {
+  const days = [...new Set(weekdays)].sort((a, b) => a - b);
+  if (days.length === 0 || days.length === 7) return t("Todos los días");
+  const contiguous = days.every((d, i) => i === 0 || d === days[i - 1] + 1);
+  if (contiguous && days.length >= 3) {
+    return t("{from} a {to}", { from: t(WEEKDAY_NAMES[days[0]]), to: t(WEEKDAY_NAMES[days[days.length - 1]]) });
+  }
+  return days.map((d) => t(WEEKDAY_NAMES[d])).join(", ");
+}
+
+const hoursSummary = (hours, t = translate("es")) =>
+  hours.map((r) => t("de {from} a {to} h", { from: formatHour(r.from), to: formatHour(r.to) })).join(t(" y "));
+
+// Human-readable summary generated from the rules, e.g. "Lun a Vie de 16 a 19 h · excepto 24/12"
+function scheduleSummary(schedule, t = translate("es")) {
+  if (!schedule) return null;
+  const parts = [weekdaysSummary(schedule.weekdays || [], t)];
+  if (schedule.hours?.length) parts[0] += " " + hoursSummary(schedule.hours, t);
+  if (schedule.blackoutDates?.length) parts.push(t("excepto {dates}", { dates: schedule.blackoutDates.map(formatDay).join(", ") }));
+  return parts.join(" · ");
+}
+
+// Refusal when redeeming outside the coupon's schedule, or null
+function scheduleRefusal(schedule, now = new Date()) {
+  if (!schedule) return null;
+  const { date, weekday, minutes } = zonedParts(now);
+  const refuse = (message, vars) => ({ ok: false, message, vars });
+  if (schedule.blackoutDates?.includes(date)) return refuse("Fuera de horario (no válido el {date})", { date: formatDay(date) });
+  if (schedule.weekdays?.length && !schedule.weekdays.includes(weekday)) {
+    return refuse("Fuera de horario (válido {when})", { when: (t) => weekdaysSummary(schedule.weekdays, t).toLowerCase() });
+  }
+  if (schedule.hours?.length && !schedule.hours.some((r) => inRange(r, minutes))) {
+    return refuse("Fuera de horario (válido {when})", { when: (t) => hoursSummary(schedule.hours, t) });
+  }
+  return null;
+}
+
+export function generateCode(existingSet) {
+  // Ensure uniqueness & add check char
+  let code;
+  do {
+    const body = CODE_VERSION + randomBase36(8);
+    code = body + luhn36(body);
+  } while (existingSet.has(code));
+  return code;
+}
+
+// === Directory =================================================================
+// Merchants, localities and categories are store data the admin edits. Nothing still
+// referenced goes away: merchants and entries deactivate (active: false), and only an
+// unused locality or category can be deleted, as a tombstone (deletedAt) so the
+// cross-tab merge doesn't bring it back.
+// The messages are spelled out per kind, so each reads right (and translates) on its own
+const DIRECTORY_KINDS = {
+  localities: {
+    field: "locality",
+    saving: "guardar la localidad",
+    messages: {
+      saved: "Localidad guardada",
+      missing: "Localidad no encontrada",
+      invalid: "Localidad inválida",
+      reactivated: "Localidad reactivada",
+      deactivated: "Localidad desactivada",
+      deleted: "Localidad eliminada",
+      inUse: "Localidad en uso por {n} comercio(s): {names}",
+      inUseActive: "Localidad en uso por {n} comercio(s) activo(s): {names}",
+    },
+  },
+  categories: {
+    field: "category",
+    saving: "guardar el rubro",
+    messages: {
+      saved: "Rubro guardado",
+      missing: "Rubro no encontrado",
+      invalid: "Rubro inválido",
+      reactivated: "Rubro reactivado",
+      deactivated: "Rubro desactivado",
+      deleted: "Rubro eliminado",
+      inUse: "Rubro en uso por {n} comercio(s): {names}",
+      inUseActive: "Rubro en uso por {n} comercio(s) activo(s): {names}",
+    },
+  },
+};
+
+const isListed = (item) => !!item && item.active !== false && !item.deletedAt;
+const nameOf = (list = [], id) => list.find((x) => x.id === id)?.name;
+
+// Lowercase without accents, for ids and search
+const foldText = (text) =>
+  String(text ?? "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase();
+
+// "Mar de las Pampas" -> "mardelaspampas", suffixed until unused
+function slugId(name, list) {
+  const base = foldText(name).replace(/[^a-z0-9]/g, "") || "item";
+  let id = base;
+  for (let n = 2; list.some((x) => x.id === id); n++) id = `${base}${n}`;
+  return id;
+}
+
+// Shared checks for any directory item -> refusal or null
+function nameRefusal(list, item) {
+  const name = item.name?.trim();
+  if (!name) return { ok: false, message: "Falta el nombre" };
+  const taken = list.some((x) => x.id !== item.id && !x.deletedAt && x.name.trim().toLowerCase() === name.toLowerCase());
+  return taken ? { ok: false, message: 'Ya existe "{name}"', vars: { name } } : null;
+}
+
+function merchantRefusal(store, merchant) {
+  const refused = nameRefusal(store.merchants, merchant);
+  if (refused) return refused;
+  for (const [kind, { field, messages }] of Object.entries(DIRECTORY_KINDS)) {
+    const current = store.merchants.find((m) => m.id === merchant.id)?.[field];
+    const entry = store[kind].find((x) => x.id === merchant[field]);
+    // An existing merchant may keep a deactivated entry it already had
+    if (!entry || entry.deletedAt || (entry.active === false && current !== entry.id)) {
+      return { ok: false, message: messages.invalid };
     }
-    const issuedRecord = [...store.issued, ...store.redemptions].find((r) => r.code === code);
-    const coupon = store.coupons.find((c) => c.id === issuedRecord?.couponId);
-    if (!issuedRecord || !coupon) return { ok: false, message: "Código no encontrado" };
-    const already = store.redemptions.find((r) => r.code === code && r.redeemedAt);
-    if (already) return { ok: false, message: "Código ya canjeado" };
-    const now = new Date().toISOString();
-    const newRed = { ...issuedRecord, redeemedAt: now };
-    setStore((prev) => ({ ...prev, redemptions: [newRed, ...prev.redemptions] }));
-    return { ok: true, message: "Canje registrado", redemption: newRed };
+  }
+  return null;
+}
+
+// action: "deactivate" | "delete" -> refusal or null
+function entryRemovalRefusal(store, kind, id, action) {
+  const { field, messages } = DIRECTORY_KINDS[kind];
+  const users = store.merchants.filter((m) => m[field] === id && (action === "delete" || isListed(m)));
+  if (!users.length) return null;
+  const names = users.map((m) => m.name).join(", ");
+  return {
+    ok: false,
+    message: action === "delete" ? messages.inUse : messages.inUseActive,
+    vars: { n: users.length, names },
   };
+}
 
-  const metrics = useMemo(() => {
-    const byCoupon = {};
-    store.redemptions.forEach((r) => {
-      byCoupon[r.couponId] = (byCoupon[r.couponId] || 0) + 1;
-    });
-    const byMerchant = {};
-    store.coupons.forEach((c) => {
-      const m = store.merchants.find((mm) => mm.id === c.merchantId);
-      if (!m) return;
-      byMerchant[m.id] = (byMerchant[m.id] || 0) + (byCoupon[c.id] || 0);
+// === Signed codes ==============================================================
+// Issuance also produces a signed token for the QR: "CT1.<payload>.<signature>" with
+// payload { c: couponId, m: merchantId, u: userId, k: short code, t: issuedAt, e: coupon endsAt,
+// x: code expiresAt (only with a TTL), n: nonce }
+// signed with Ed25519 by the one issuer key, which the repository owns (see Data layer):
+// it signs each issuance it saves and load() hands out only the public key. A merchant
+// device holding that key can check authenticity and expiry offline; the short code
+// stays as the typed fallback. The app state never holds a private key (in local mode
+// the repository keeps one outside it).
+// The token format and the signing half live in signing.js, shared with the mock /api.
+
+// Authenticity and expiry only; double spending is the store's job. A token that fails
+// the signature check comes back with badSignature.
+async function verifyToken(token, publicKey, now = new Date()) {
+  const invalid = { ok: false, message: "QR inválido (firma)", badSignature: true };
+  if (!token.startsWith(TOKEN_PREFIX)) return invalid;
+  const [body, signature] = token.slice(TOKEN_PREFIX.length).split(".");
+  if (!body || !signature) return invalid;
+  try {
+    const key = await crypto.subtle.importKey("raw", fromB64url(publicKey), SIGN_ALG, false, ["verify"]);
+    const valid = await crypto.subtle.verify(SIGN_ALG, key, fromB64url(signature), new TextEncoder().encode(body));
+    if (!valid) return invalid;
+    const payload = JSON.parse(new TextDecoder().decode(fromB64url(body)));
+    if (payload.e && dateKey(now) > payload.e) return { ok: false, message: "Cupón vencido" };
+    if (isCodeExpired({ expiresAt: payload.x }, now)) return CODE_EXPIRED;
+    return { ok: true, payload };
+  } catch {
+    return invalid;
+  }
+}
+
+// The short code inside a token, unverified: what a till that can't check the signature
+// falls back to (it then passes the same checks as a typed code)
+function tokenCode(token) {
+  try {
+    const payload = JSON.parse(new TextDecoder().decode(fromB64url(token.slice(TOKEN_PREFIX.length).split(".")[0])));
+    return typeof payload.k === "string" ? payload.k : null;
+  } catch {
+    return null;
+  }
+}
+
+// === Persistence ===============================================================
+// localStorage holds { schemaVersion, ...store }. On load, older blobs run through the
+// ordered MIGRATIONS and the result is validated. Anything unreadable, invalid or from a
+// newer app version is copied to a backup key and reported, never silently dropped.
+// Seed data only reaches existing users through a migration.
+const SCHEMA_VERSION = 7;
+
+const INITIAL_STORE = {
+  localities: initialLocalities, // {id,name,active?,deletedAt?} (see Directory)
+  categories: initialCategories,
+  merchants: initialMerchants, // {id,name,locality,category,active?}
+  coupons: initialCoupons,
+  redemptions: [], // {code,couponId,issuedAt,redeemedAt,userId,merchantId,voidedAt?,restored?}
+  voids: [], // append-only audit of voided redemptions (see Voids)
+  credentials: initialCredentials, // {id,role,merchantId?,salt,hash,iterations,updatedAt} (see Access control)
+  attempts: [], // failed manual redemptions {id,code,reason,terminalId,merchantId,at} (see Brute-force protection)
+  issued: [], // {code,couponId,issuedAt,userId,token,expiresAt?,cancelledAt?}
+  issuerKey: null, // the issuer's public key, from the repository (see Signed codes)
+  verifyKey: null, // public key pasted on a merchant device; defaults to issuerKey
+};
+
+// Adds keys a seed item gained after launch, without touching what the user changed
+const withSeedFields = (items, seeds, keys) =>
+  items.map((item) => {
+    const seed = seeds.find((x) => x.id === item.id);
+    if (!seed) return item;
+    const added = Object.fromEntries(keys.filter((k) => !(k in item) && k in seed).map((k) => [k, seed[k]]));
+    return { ...item, ...added };
+  });
+
+// MIGRATIONS[i] upgrades a blob from version i + 1 to i + 2 (unversioned blobs are v1)
+const MIGRATIONS = [
+  // v1 -> v2: schedule (c1) and caps (c3) on seed coupons, signing keys
+  (data) => ({
+    ...data,
+    coupons: withSeedFields(data.coupons, initialCoupons, ["schedule", "maxRedemptions", "maxPerDay", "maxPerUser"]),
+    signingKeys: data.signingKeys ?? null,
+    verifyKey: data.verifyKey ?? null,
+  }),
+  // v2 -> v3: localities and categories move from code into the store
+  (data) => ({
+    ...data,
+    localities: data.localities ?? initialLocalities,
+    categories: data.categories ?? initialCategories,
+  }),
+  // v3 -> v4: audit trail of voided redemptions
+  (data) => ({ ...data, voids: data.voids ?? [] }),
+  // v4 -> v5: hashed admin password and merchant PINs
+  (data) => ({ ...data, credentials: data.credentials ?? initialCredentials }),
+  // v5 -> v6: failed redemption attempts
+  (data) => ({ ...data, attempts: data.attempts ?? [] }),
+  // v6 -> v7: the issuer key moves to the repository; drop the key pair this device made
+  (data) => {
+    const upgraded = { ...data, issuerKey: null };
+    delete upgraded.signingKeys;
+    return upgraded;
+  },
+];
+
+const REQUIRED_FIELDS = {
+  localities: ["id", "name"],
+  categories: ["id", "name"],
+  merchants: ["id", "name"],
+  coupons: ["id", "merchantId", "title"],
+  issued: ["code", "couponId", "issuedAt"],
+  redemptions: ["code", "couponId", "redeemedAt"],
+  voids: ["id", "code", "voidedAt", "voidedBy", "reason"],
+  credentials: ["id", "role", "salt", "hash"],
+  attempts: ["id", "code", "reason", "at"],
+};
+
+// -> list of problems, empty when the store is usable
+function validateStore(data) {
+  const errors = [];
+  Object.entries(REQUIRED_FIELDS).forEach(([key, fields]) => {
+    if (!Array.isArray(data?.[key])) return errors.push(`${key}: no es una lista`);
+    data[key].forEach((item, i) => {
+      const missing = fields.filter((f) => item?.[f] == null || item[f] === "");
+      if (missing.length) errors.push(`${key}[${i}]: falta ${missing.join(", ")}`);
     });
-    return { byCoupon, byMerchant };
-  }, [store.redemptions, store.coupons, store.merchants]);
+  });
+  return errors;
+}
 
-  return {
-    ...store,
-    sessionUserId,
-    createCoupon,
-    issueCoupon,
-    redeemCode,
-    hasIssuedActive,
-    metrics,
-    setStore, // expose for debugging if needed
-  };
+// Raw saved string -> { data } or { error, vars, errors } (parse, migrate, validate; no side effects)
+function decodeStore(raw) {
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch {
+    return { error: "Los datos guardados están dañados" };
+  }
+  const { schemaVersion = 1, ...stored } = parsed || {};
+  if (schemaVersion > SCHEMA_VERSION) {
+    return { error: "Datos de una versión más nueva de la app (v{version})", vars: { version: schemaVersion } };
+  }
+
+  let data = stored;
+  try {
+    for (let v = schemaVersion; v < SCHEMA_VERSION; v++) data = MIGRATIONS[v - 1](data);
+  } catch {
+    return { error: "Falló la migración desde v{version}", vars: { version: schemaVersion } };
+  }
+  const errors = validateStore(data);
+  if (errors.length) return { error: "Los datos guardados no son válidos", errors };
+  return { data };
 }
 
-function useCatalog(store, filters) {
-  const { merchants, coupons } = store;
-  return useMemo(() => {
-    return coupons
-      .map((c) => ({
-        ...c,
-        merchant: merchants.find((m) => m.id === c.merchantId),
-      }))
-      .filter(
-        (c) => (!filters.locality || c.merchant?.locality === filters.locality) && (!filters.category || c.merchant?.category === filters.category)
-      );
-  }, [merchants, coupons, filters.locality, filters.category]);
+// -> { data, report } where report is null or { message, vars, errors, backupKey }
+function loadStore(initial, storage = localStorage) {
+  let raw;
+  try {
+    raw = storage.getItem(STORAGE_KEY);
+  } catch {
+    return { data: initial, report: { message: "No se pudo acceder al almacenamiento local", errors: [] } };
+  }
+  if (!raw) return { data: initial, report: null };
+
+  const { data, error, vars, errors = [] } = decodeStore(raw);
+  if (!error) return { data: { ...initial, ...data }, report: null };
+
+  const backupKey = `${STORAGE_KEY}-backup-${Date.now()}`;
+  try {
+    storage.setItem(backupKey, raw);
+  } catch {
+    return { data: initial, report: { message: "{error} (no se pudo guardar la copia)", vars: { error: (t) => t(error, vars) }, errors } };
+  }
+  return { data: initial, report: { message: error, vars, errors, backupKey } };
 }
 
-// === UI Blocks =================================================================
-function CouponCard({ coupon, onUse, disabled, ctaLabel = "Usar cupón" }) {
-  return (
-    <Card>
-      <div className="flex items-start gap-3">
-        <div className="flex-1">
-          <div className="text-lg font-semibold text-gray-900">{coupon.title}</div>
-          <div className="text-gray-700 mt-1">{coupon.benefit}</div>
-          <div className="mt-2 text-xs text-gray-500">{coupon.terms}</div>
-          <div className="mt-2 space-x-2">
-            <Badge>{coupon.merchant?.name}</Badge>
-            <Badge>{LOCALITIES.find((l) => l.id === coupon.merchant?.locality)?.name}</Badge>
-          </div>
-        </div>
-        <div>
-          <Button onClick={onUse} disabled={disabled}>
-            {ctaLabel}
-          </Button>
-        </div>
-      </div>
-    </Card>
+// Latest valid saved store (possibly written by another tab), or null
+function readSaved(storage = localStorage) {
+  try {
+    const raw = storage.getItem(STORAGE_KEY);
+    return raw ? decodeStore(raw).data ?? null : null;
+  } catch {
+    return null;
+  }
+}
+
+function writeSaved(state, storage = localStorage) {
+  storage.setItem(STORAGE_KEY, JSON.stringify({ schemaVersion: SCHEMA_VERSION, ...state }));
+}
+
+// === Cross-tab sync ============================================================
+// Tabs share one saved blob. Every save merges with what is already saved, and a
+// "storage" event from another tab merges its blob into ours, so nobody's writes are lost.
+// Merge rules (the first argument is the newer side):
+//  - merchants/coupons/localities/categories: union by id, newer side wins an id present
+//    in both, except that a deletion tombstone (deletedAt) always wins
+//  - issued: union by code, keeping the signed copy
+//  - redemptions: union by code; if two tabs redeemed the same code, the earliest stands.
+//    A queued offline redemption meeting a different synced one becomes a conflict (see Offline queue).
+//    A void beats the redemption it voided; a later redemption of a restored code beats the void
+//  - voids: union by id (entries never change)
+//  - credentials: union by id, the most recently updated one wins
+//  - attempts: union by id, keeping the newest ATTEMPTS_KEPT
+//  - issuerKey: the newer side's, unless that tab hasn't loaded it yet
+// Redemption itself runs under a Web Lock and re-reads the saved blob, so two tabs
+// cannot both redeem one code.
+const stableStringify = (value) =>
+  JSON.stringify(value, (_, v) =>
+    v && typeof v === "object" && !Array.isArray(v) ? Object.fromEntries(Object.keys(v).sort().map((k) => [k, v[k]])) : v
   );
+
+function unionBy(newer = [], older = [], key, pick = (a) => a) {
+  const byKey = new Map(older.map((x) => [x[key], x]));
+  newer.forEach((x) => byKey.set(x[key], byKey.has(x[key]) ? pick(x, byKey.get(x[key])) : x));
+  return [...byKey.values()];
 }
 
-function TouristView({ store }) {
-  const [locality, setLocality] = useState(LOCALITIES[0].id);
-  const [category, setCategory] = useState("");
-  const [issuedView, setIssuedView] = useState(null); // last issued record
-  const [toast, setToast] = useState(null);
+// Newest first, ties broken by code so every tab ends up with the same order
+const byDateDesc = (field) => (a, b) => (b[field] || "").localeCompare(a[field] || "") || a.code.localeCompare(b.code);
 
-  const list = useCatalog(store, { locality, category });
+function pickRedemption(a, b) {
+  if (a.voidedAt && b.voidedAt) return b.voidedAt > a.voidedAt ? b : a;
+  if (a.voidedAt || b.voidedAt) {
+    const [voided, live] = a.voidedAt ? [a, b] : [b, a];
+    return live.redeemedAt > voided.voidedAt ? live : voided;
+  }
+  if (!a.syncStatus === !b.syncStatus) return b.redeemedAt < a.redeemedAt ? b : a;
+  const [local, synced] = a.syncStatus ? [a, b] : [b, a];
+  if (local.redeemedAt === synced.redeemedAt || synced.conflictResolved) return synced; // made it, or reviewed
+  if (local.syncStatus === "pending") return { ...local, syncStatus: "conflict", conflictWith: synced };
+  return local; // known conflict: stays until the merchant resolves it
+}
 
-  const copy = async (text) => {
-    try {
-      await navigator.clipboard.writeText(text);
-      setToast("Código copiado");
-      setTimeout(() => setToast(null), 1500);
-    } catch {}
+const keepTombstone = (a, b) => (b.deletedAt && !a.deletedAt ? b : a);
+
+// Same code seen twice: keep the signed copy, and a cancellation from either side
+function pickIssuance(a, b) {
+  const kept = a.token || !b.token ? a : b;
+  const cancelledAt = a.cancelledAt || b.cancelledAt;
+  return cancelledAt && !kept.cancelledAt ? { ...kept, cancelledAt } : kept;
+}
+
+function mergeStores(newer, older) {
+  return {
+    ...older,
+    ...newer,
+    localities: unionBy(newer.localities, older.localities, "id", keepTombstone),
+    categories: unionBy(newer.categories, older.categories, "id", keepTombstone),
+    merchants: unionBy(newer.merchants, older.merchants, "id"),
+    coupons: unionBy(newer.coupons, older.coupons, "id", keepTombstone),
+    issued: unionBy(newer.issued, older.issued, "code", pickIssuance).sort(byDateDesc("issuedAt")),
+    redemptions: unionBy(newer.redemptions, older.redemptions, "code", pickRedemption).sort(byDateDesc("redeemedAt")),
+    voids: unionBy(newer.voids, older.voids, "id").sort(byDateDesc("voidedAt")),
+    credentials: unionBy(newer.credentials, older.credentials, "id", (a, b) => (b.updatedAt > a.updatedAt ? b : a)),
+    attempts: unionBy(newer.attempts, older.attempts, "id").sort(byDateDesc("at")).slice(0, ATTEMPTS_KEPT),
+    issuerKey: newer.issuerKey ?? older.issuerKey ?? null,
   };
+}
 
-  return (
-    <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
-      <div className="md:col-span-2 space-y-4">
-        <Card>
-          <div className="flex flex-wrap items-center gap-3">
-            <select className="border rounded-xl px-3 py-2" value={locality} onChange={(e) => setLocality(e.target.value)}>
-              {LOCALITIES.map((l) => (
-                <option key={l.id} value={l.id}>
-                  {l.name}
-                </option>
-              ))}
-            </select>
-            <select className="border rounded-xl px-3 py-2" value={category} onChange={(e) => setCategory(e.target.value)}>
-              <option value="">Todos los rubros</option>
-              {CATEGORIES.map((c) => (
-                <option key={c.id} value={c.id}>
-                  {c.name}
-                </option>
-              ))}
-            </select>
-            <div className="text-sm text-gray-500">{list.length} cupones</div>
-          </div>
-        </Card>
+// Cross-tab critical section. Without Web Locks the caller's synchronous
+// read-check-write still leaves only a tiny window.
+const withStoreLock = (fn) =>
+  typeof navigator !== "undefined" && navigator.locks?.request
+    ? navigator.locks.request(STORAGE_KEY, fn)
+    : Promise.resolve().then(fn);
 
-        {list.map((c) => {
-          const existing = store.hasIssuedActive(c.id);
-          return (
-            <CouponCard
-              key={c.id}
-              coupon={c}
-              disabled={false}
-              ctaLabel={existing ? "Ver código" : "Usar cupón"}
-              onUse={() => {
-                const { record, reused } = store.issueCoupon(c.id);
-                setIssuedView(record);
-                setToast(reused ? "Ya tenías un código para este cupón" : "Código generado");
-                setTimeout(() => setToast(null), 1500);
-              }}
-            />
-          );
-        })}
-      </div>
+function usePersistentState(initial) {
+  const [loaded] = useState(() => loadStore(initial));
+  const [state, setState] = useState(loaded.data);
+  const [loadReport, setLoadReport] = useState(loaded.report);
 
-      <div className="space-y-4">
-        <Card>
-          <SectionTitle>Mi cupón (emitido)</SectionTitle>
-          {!issuedView ? (
-            <div className="text-sm text-gray-500">
-              Elegí un cupón y presioná "Usar cupón" para generar tu QR. Si ya lo generaste antes, verás el mismo código.
-            </div>
-          ) : (
-            <div className="flex flex-col items-center text-center">
-              <div className="text-sm text-gray-600 mb-2">Mostrá este QR en caja</div>
-              <QR value={issuedView.code} size={160} includeMargin={true} />
-              <div className="mt-2 font-mono text-lg tracking-wider">{issuedView.code}</div>
-              <div className="flex gap-2 mt-2">
-                <SecondaryButton onClick={() => copy(issuedView.code)}>Copiar código</SecondaryButton>
-                <SecondaryButton onClick={() => setIssuedView(null)}>Ocultar</SecondaryButton>
+  // Another tab saved: fold its data into ours (no-op when nothing new, so tabs don't ping-pong)
+  useEffect(() => {
+    const onStorage = (e) => {
+      if (e.key !== STORAGE_KEY || !e.newValue) return;
+      const { data } = decodeStore(e.newValue);
+      if (!data) return;
+      setState((prev) => {
+        const merged = mergeStores({ ...initial, ...data }, prev);
+        return stableStringify(merged) === stableStringify(prev) ? prev : merged;
+      });
+    };
+    window.addEventListener("storage", onStorage);
+    return () => window.removeEventListener("storage", onStorage);
+  }, [initial]);
+
+  useEffect(() => {
+    try {
+      const saved = readSaved();
+      const next = saved ? mergeStores(state, saved) : state;
+      if (saved && stableStringify(next) === stableStringify(saved)) return;
+      writeSaved(next);
+    } catch {
+      // Quota or private mode: keep working in memory
+    }
+  }, [state]);
+
+  return [state, setState, loadReport, () => setLoadReport(null)];
+}
+
+// === Data layer ================================================================
+// Repository interface, implemented by both adapters (every method is async):
+//   load()                 -> { localities, categories, merchants, coupons, issued, redemptions, voids, attempts,
+//                               issuerKey } (issuerKey: the issuer's public key, null if it has none)
+//   saveLocality(l), saveCategory(c), saveMerchant(m), saveCoupon(c),
+//   saveIssuance(r), saveAttempt(a) -> the saved item (upsert)
+//   saveIssuance(r) also signs: the saved record carries the issuer's token (see Signed codes)
+//                   when its coupon is known; a code keeps its first token, a sent one is ignored
+//   saveRedemption(r) -> the saved record; rejects with err.conflict (and err.existing)
+//                        when that code was already redeemed elsewhere
+//   updateRedemption(r) -> the saved record (upsert; marks a void)
+//   saveVoid(entry)     -> the saved audit entry; entries are never overwritten
+// Errors carry err.offline when the backend could not be reached; err.message is i18n
+// source text, with err.vars for its placeholders.
+// The in-memory store stays the working copy and local cache; every change is also
+// handed to the repository, except credentials, which never leave this browser (see
+// Access control). VITE_DATA_SOURCE=http selects the /api adapter.
+const DATA_SOURCE = import.meta.env?.VITE_DATA_SOURCE === "http" ? "http" : "local";
+const API_BASE = import.meta.env?.VITE_API_BASE || "/api";
+
+const repoError = (message, extra = {}) => Object.assign(new Error(message), extra);
+
+// The saved blob is the database; also what the tabs sync through. With no backend this
+// browser is the issuer too: its key pair sits under ISSUER_KEY, outside the store, so the
+// app never holds the private half. Separate devices need the /api adapter.
+const ISSUER_KEY = "ct-issuer-v1";
+
+function createLocalRepository(storage = localStorage) {
+  const read = () => readSaved(storage) || INITIAL_STORE;
+  const upsert = (field, key, item) => {
+    const saved = read();
+    writeSaved({ ...saved, [field]: [item, ...saved[field].filter((x) => x[key] !== item[key])] }, storage);
+    return item;
+  };
+  // Made once, under the store lock so tabs share it; null without Ed25519
+  const issuerKeys = () =>
+    withStoreLock(async () => {
+      const saved = JSON.parse(storage.getItem(ISSUER_KEY) || "null");
+      if (saved) return saved;
+      const keys = await createSigningKeys();
+      storage.setItem(ISSUER_KEY, JSON.stringify(keys));
+      return keys;
+    }).catch(() => null);
+
+  return {
+    async load() {
+      const { localities, categories, merchants, coupons, issued, redemptions, voids, attempts } = read();
+      const issuerKey = (await issuerKeys())?.publicKey ?? null;
+      return { localities, categories, merchants, coupons, issued, redemptions, voids, attempts, issuerKey };
+    },
+    saveLocality: async (locality) => upsert("localities", "id", locality),
+    saveCategory: async (category) => upsert("categories", "id", category),
+    saveMerchant: async (merchant) => upsert("merchants", "id", merchant),
+    saveCoupon: async (coupon) => upsert("coupons", "id", coupon),
+    async saveIssuance(record) {
+      const saved = read();
+      const unsigned = { ...record };
+      delete unsigned.token;
+      const token = saved.issued.find((r) => r.code === record.code)?.token;
+      const coupon = saved.coupons.find((c) => c.id === record.couponId);
+      const keys = !token && coupon ? await issuerKeys() : null;
+      const signed = token || (keys ? await signIssuance(unsigned, coupon, keys.privateJwk) : null);
+      return upsert("issued", "code", signed ? { ...unsigned, token: signed } : unsigned);
+    },
+    saveAttempt: async (attempt) => upsert("attempts", "id", attempt),
+    // Callers hold the store lock, so this read-check-write is atomic across tabs
+    async saveRedemption(record) {
+      const existing = read().redemptions.find((r) => r.code === record.code);
+      if (existing && existing.redeemedAt !== record.redeemedAt && burnsCode(existing)) {
+        throw repoError("Código ya canjeado", { conflict: true, existing });
+      }
+      return upsert("redemptions", "code", record);
+    },
+    updateRedemption: async (record) => upsert("redemptions", "code", record),
+    async saveVoid(entry) {
+      if (read().voids.some((v) => v.id === entry.id)) throw repoError("Anulación duplicada", { conflict: true });
+      return upsert("voids", "id", entry);
+    },
+  };
+}
+
+// REST over /api: GET /{collection}, PUT /{collection}/{id}, POST /redemptions (409 if already redeemed),
+// POST /voids, GET /issuer -> { publicKey }. PUT /issuances/{code} answers with the signed record.
+// Demo only: load() hands every client, anonymous tourists included, every issued code,
+// redemption, void and attempt, and /api has no auth. A real backend has to scope these
+// by session and role (a tourist gets their own codes, a till its merchant's).
+function createHttpRepository(base = API_BASE, fetchImpl = (...args) => fetch(...args), timeoutMs = 8000) {
+  const request = async (method, path, body) => {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    let res;
+    try {
+      res = await fetchImpl(base + path, {
+        method,
+        headers: body ? { "Content-Type": "application/json" } : undefined,
+        body: body ? JSON.stringify(body) : undefined,
+        signal: controller.signal,
+      });
+    } catch (err) {
+      throw repoError(err.name === "AbortError" ? "El servidor no responde" : "Sin conexión con el servidor", {
+        offline: true,
+      });
+    } finally {
+      clearTimeout(timer);
+    }
+    const data = await res.json().catch(() => null);
+    if (res.status === 409) throw repoError("Código ya canjeado", { conflict: true, existing: data?.redemption });
+    if (!res.ok) throw repoError("Error del servidor ({status})", { status: res.status, vars: { status: res.status } });
+    return data;
+  };
+  const put = (collection, key) => (item) => request("PUT", `/${collection}/${encodeURIComponent(item[key])}`, item);
+
+  return {
+    async load() {
+      const collections = [
+        "localities",
+        "categories",
+        "merchants",
+        "coupons",
+        "issuances",
+        "redemptions",
+        "voids",
+        "attempts",
+      ];
+      const [[localities, categories, merchants, coupons, issued, redemptions, voids, attempts], issuer] = await Promise.all([
+        Promise.all(collections.map((collection) => request("GET", `/${collection}`))),
+        request("GET", "/issuer"),
+      ]);
+      return { localities, categories, merchants, coupons, issued, redemptions, voids, attempts, issuerKey: issuer?.publicKey ?? null };
+    },
+    saveLocality: put("localities", "id"),
+    saveCategory: put("categories", "id"),
+    saveMerchant: put("merchants", "id"),
+    saveCoupon: put("coupons", "id"),
+    saveIssuance: put("issuances", "code"),
+    saveAttempt: put("attempts", "id"),
+    saveRedemption: (record) => request("POST", "/redemptions", record),
+    updateRedemption: put("redemptions", "code"),
+    saveVoid: (entry) => request("POST", "/voids", entry),
+  };
+}
+
+const createRepository = (source = DATA_SOURCE) => (source === "http" ? createHttpRepository() : createLocalRepository());
+
+// === Offline queue =============================================================
+// A redemption the backend couldn't take (err.offline) is kept locally with
+// syncStatus "pending" and counts as redeemed on this device. The queue replays in
+// order when the connection returns; a 409 for someone else's redemption turns ours
+// into syncStatus "conflict" (with conflictWith) for the merchant to review.
+const QUEUE_RETRY_MS = 30000;
+
+const withoutSync = (r) => {
+  const record = { ...r };
+  delete record.syncStatus;
+  delete record.conflictWith;
+  return record;
+};
+
+// -> [{ code, outcome: "synced" | "conflict" | "pending", existing }]; stops at the first offline error
+async function replayRedemptions(queue, repo) {
+  const outcomes = [];
+  for (const queued of queue) {
+    const record = withoutSync(queued);
+    try {
+      await repo.saveRedemption(record);
+      outcomes.push({ code: queued.code, outcome: "synced" });
+    } catch (err) {
+      if (err.conflict && err.existing?.redeemedAt === record.redeemedAt) {
+        outcomes.push({ code: queued.code, outcome: "synced" }); // a previous replay got through
+      } else if (err.conflict) {
+        outcomes.push({ code: queued.code, outcome: "conflict", existing: err.existing });
+      } else {
+        break; // offline or server error: the rest waits for the next replay
+      }
+    }
+  }
+  return outcomes;
+}
+
+const applyReplay = (redemptions, outcomes) =>
+  redemptions.map((r) => {
+    const done = outcomes.find((o) => o.code === r.code);
+    if (!done) return r;
+    return done.outcome === "synced" ? withoutSync(r) : { ...r, syncStatus: "conflict", conflictWith: done.existing || null };
+  });
+
+// === Voids =====================================================================
+// A merchant can void one of their recent redemptions, giving who and why; the audit
+// entry also records the session (role and merchantId) that did it. The
+// redemption stays in place marked voidedAt and stops counting (caps, metrics,
+// analytics). With restored set the code can be redeemed again, which replaces that
+// redemption; store.voids keeps the append-only audit either way.
+const VOID_WINDOW_HOURS = 24;
+
+const isCounted = (r) => !r.voidedAt;
+
+// Whether a redemption keeps its code from being redeemed again
+const burnsCode = (r) => !r.voidedAt || !r.restored;
+
+const withoutVoid = (r) => {
+  const record = { ...r };
+  delete record.voidedAt;
+  delete record.restored;
+  return record;
+};
+
+// Whether this till may void the redemption now -> refusal or null
+function voidRefusal(redemption, merchantId, now = new Date()) {
+  if (!redemption || redemption.voidedAt) return { ok: false, message: "Canje no encontrado" };
+  if (merchantId && redemption.merchantId !== merchantId) return { ok: false, message: "El canje es de otro comercio" };
+  if (redemption.syncStatus) return { ok: false, message: "El canje todavía no se sincronizó" };
+  if (now - new Date(redemption.redeemedAt) > VOID_WINDOW_HOURS * 3600000) {
+    return { ok: false, message: "Solo se pueden anular canjes de las últimas {n} h", vars: { n: VOID_WINDOW_HOURS } };
+  }
+  return null;
+}
+
+// form = { by, reason, restore } -> refusal or null
+function voidFormRefusal(form) {
+  if (!form.by?.trim()) return { ok: false, message: "Indicá quién anula el canje" };
+  if (!form.reason?.trim()) return { ok: false, message: "Indicá el motivo" };
+  return null;
+}
+
+// session = the logged-in { role, merchantId } -> { redemption: the voided copy, entry: its audit record }
+function voidRedemptionRecord(redemption, form, session, now = new Date()) {
+  const voidedAt = now.toISOString();
+  const restored = Boolean(form.restore);
+  const { code, couponId, merchantId, userId, redeemedAt } = redemption;
+  return {
+    redemption: { ...redemption, voidedAt, restored },
+    entry: {
+      id: uuidv4(),
+      code,
+      couponId,
+      merchantId,
+      userId,
+      redeemedAt,
+      voidedAt,
+      voidedBy: form.by.trim(),
+      sessionRole: session.role,
+      sessionMerchantId: session.merchantId ?? null,
+      reason: form.reason.trim(),
+      restored,
+    },
+  };
+}
+
+// === Analytics =================================================================
+// Everything is bucketed in Argentina time. range = { from, to } (YYYY-MM-DD, inclusive,
+// either may be empty). Redemptions count by redeemedAt; conversion follows the codes
+// issued in the range to see how many got redeemed, whenever that happened. Voided
+// redemptions are left out.
+const ANALYTICS_MAX_DAYS = 400; // zero-filled day series beyond this are trimmed to the latest days
+
+const addDays = (key, n) => new Date(Date.parse(`${key}T12:00:00Z`) + n * 86400000).toISOString().slice(0, 10);
+
+function median(values) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+const inDateRange = (key, { from, to }) => (!from || key >= from) && (!to || key <= to);
+
+// Funnel of one group of codes: issued -> redeemed, and how long redemption took
+function funnel(issued, redeemedCodes, redemptions) {
+  const converted = issued.filter((r) => redeemedCodes.has(r.code)).length;
+  const waits = redemptions.filter((r) => r.issuedAt).map((r) => (Date.parse(r.redeemedAt) - Date.parse(r.issuedAt)) / 60000);
+  return {
+    issued: issued.length,
+    redeemed: redemptions.length,
+    conversion: issued.length ? converted / issued.length : null,
+    medianMinutes: median(waits.filter((m) => m >= 0)),
+  };
+}
+
+// -> { ...funnel, byDay: [{ key, count }], byHour: [24 counts], coupons, localities, categories }
+// merchantId limits everything to that merchant's coupons
+function analyzeRedemptions(store, range = {}, merchantId = null) {
+  const coupons = store.coupons.filter((c) => !merchantId || c.merchantId === merchantId);
+  const couponIds = new Set(coupons.map((c) => c.id));
+  const counted = store.redemptions.filter(isCounted);
+  const redeemedCodes = new Set(counted.map((r) => r.code));
+  const redemptions = counted.filter(
+    (r) => couponIds.has(r.couponId) && inDateRange(dateKey(new Date(r.redeemedAt)), range)
+  );
+  // Redeemed codes are issuances too, even when this device never saw the issued record
+  const issuedByCode = new Map();
+  [...store.issued, ...store.redemptions].forEach((r) => {
+    if (r.issuedAt && couponIds.has(r.couponId) && inDateRange(dateKey(new Date(r.issuedAt)), range)) issuedByCode.set(r.code, r);
+  });
+  const issued = [...issuedByCode.values()];
+
+  const byHour = Array(24).fill(0);
+  const perDay = {};
+  redemptions.forEach((r) => {
+    const { date, minutes } = zonedParts(new Date(r.redeemedAt));
+    perDay[date] = (perDay[date] || 0) + 1;
+    byHour[Math.floor(minutes / 60)] += 1;
+  });
+  const days = Object.keys(perDay).sort();
+  const first = range.from || days[0];
+  const last = range.to || (days.length ? days[days.length - 1] : null);
+  const byDay = [];
+  for (let key = first; first && last && key <= last; key = addDays(key, 1)) byDay.push({ key, count: perDay[key] || 0 });
+
+  const merchantOf = Object.fromEntries(store.merchants.map((m) => [m.id, m]));
+  const group = (items, keyOf) =>
+    items.reduce((acc, r) => {
+      const k = keyOf(r);
+      if (k != null) (acc[k] = acc[k] || []).push(r);
+      return acc;
+    }, {});
+  const couponOf = Object.fromEntries(coupons.map((c) => [c.id, c]));
+  const compare = (list, field) => {
+    const keyOf = (r) => merchantOf[couponOf[r.couponId]?.merchantId]?.[field];
+    const issuedBy = group(issued, keyOf);
+    const redeemedBy = group(redemptions, keyOf);
+    return list
+      .filter((x) => !x.deletedAt)
+      .map((x) => ({ id: x.id, name: x.name, ...funnel(issuedBy[x.id] || [], redeemedCodes, redeemedBy[x.id] || []) }))
+      .filter((x) => x.issued || x.redeemed)
+      .sort((a, b) => b.redeemed - a.redeemed);
+  };
+  const issuedByCoupon = group(issued, (r) => r.couponId);
+  const redeemedByCoupon = group(redemptions, (r) => r.couponId);
+
+  return {
+    ...funnel(issued, redeemedCodes, redemptions),
+    byDay: byDay.slice(-ANALYTICS_MAX_DAYS),
+    byHour,
+    coupons: coupons
+      .filter((c) => !c.deletedAt)
+      .map((c) => ({ coupon: c, ...funnel(issuedByCoupon[c.id] || [], redeemedCodes, redeemedByCoupon[c.id] || []) }))
+      .sort((a, b) => b.redeemed - a.redeemed),
+    localities: compare(store.localities || [], "locality"),
+    categories: compare(store.categories || [], "category"),
+  };
+}
+
+// === Export & import ===========================================================
+// Spreadsheet-friendly dumps of the store and a validated bulk load of merchants and
+// coupons. CSV is RFC 4180 (comma, quotes doubled, UTF-8 BOM so Excel reads accents);
+// text cells starting with = + - @ get a leading ' so spreadsheets don't run them.
+const EXPORT_COLUMNS = {
+  coupons: [
+    "id",
+    "merchantId",
+    "title",
+    "benefit",
+    "terms",
+    "startsAt",
+    "endsAt",
+    "status",
+    "maxRedemptions",
+    "maxPerDay",
+    "maxPerUser",
+    "codeTtlHours",
+  ],
+  merchants: ["id", "name", "locality", "category", "active"],
+  issued: ["code", "couponId", "userId", "issuedAt", "expiresAt", "cancelledAt"],
+  redemptions: ["code", "couponId", "merchantId", "userId", "issuedAt", "redeemedAt", "syncStatus", "voidedAt", "restored"],
+  voids: [
+    "id",
+    "code",
+    "couponId",
+    "merchantId",
+    "userId",
+    "redeemedAt",
+    "voidedAt",
+    "voidedBy",
+    "sessionRole",
+    "sessionMerchantId",
+    "reason",
+    "restored",
+  ],
+};
+const IMPORT_DATASETS = ["merchants", "coupons"];
+
+function csvCell(value) {
+  if (value == null) return "";
+  let text = String(value);
+  if (typeof value === "string" && /^[=+\-@]/.test(text) && isNaN(Number(text))) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const toCsv = (rows, columns) => [columns, ...rows.map((r) => columns.map((c) => r[c]))].map((r) => r.map(csvCell).join(",")).join("\r\n");
+
+// -> array of rows (arrays of strings); quoted fields may hold commas, quotes and newlines
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  const src = text.replace(/^\uFEFF/, "");
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted && ch === '"' && src[i + 1] === '"') {
+      cell += '"';
+      i++;
+    } else if (ch === '"') {
+      quoted = !quoted;
+    } else if (quoted || (ch !== "," && ch !== "\n" && ch !== "\r")) {
+      cell += ch;
+    } else {
+      row.push(cell);
+      cell = "";
+      if (ch === ",") continue;
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      rows.push(row);
+      row = [];
+    }
+  }
+  if (cell || row.length) rows.push([...row, cell]);
+  return rows.filter((r) => r.some((c) => c.trim()));
+}
+
+// filters = { from, to, merchantId }; dates filter issuances and redemptions by their own
+// timestamp and coupons by validity window overlap (Argentina days, inclusive)
+function exportRows(store, dataset, { from = "", to = "", merchantId = "" } = {}) {
+  const range = { from, to };
+  const couponMerchant = Object.fromEntries(store.coupons.map((c) => [c.id, c.merchantId]));
+  const ofMerchant = (r) => !merchantId || (r.merchantId ?? couponMerchant[r.couponId]) === merchantId;
+  switch (dataset) {
+    case "merchants":
+      return store.merchants.filter((m) => !merchantId || m.id === merchantId);
+    case "coupons":
+      return store.coupons.filter(
+        (c) => ofMerchant(c) && (!to || !c.startsAt || c.startsAt <= to) && (!from || !c.endsAt || c.endsAt >= from)
+      );
+    case "issued":
+      return store.issued.filter((r) => ofMerchant(r) && inDateRange(dateKey(new Date(r.issuedAt)), range));
+    case "redemptions":
+      return store.redemptions.filter((r) => ofMerchant(r) && inDateRange(dateKey(new Date(r.redeemedAt)), range));
+    case "voids":
+      return store.voids.filter((v) => ofMerchant(v) && inDateRange(dateKey(new Date(v.voidedAt)), range));
+    default:
+      return [];
+  }
+}
+
+function exportData(store, dataset, format, filters) {
+  const rows = exportRows(store, dataset, filters);
+  if (format === "json") return JSON.stringify(rows, null, 2);
+  return "\uFEFF" + toCsv(rows, EXPORT_COLUMNS[dataset]);
+}
+
+function downloadFile(name, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = Object.assign(document.createElement("a"), { href: url, download: name });
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// CSV (header row) or JSON (array, or { [dataset]: array }) -> { records, firstLine } | { error }
+function parseImport(text, dataset) {
+  const value = String(text ?? "").trim();
+  if (!value) return { error: "No hay datos para importar" };
+  if (/^[[{]/.test(value)) {
+    try {
+      const parsed = JSON.parse(value);
+      const records = Array.isArray(parsed) ? parsed : parsed?.[dataset];
+      if (!Array.isArray(records)) return { error: "El JSON no tiene una lista de {dataset}", vars: { dataset } };
+      const strings = records.map((r) => Object.fromEntries(Object.entries(r || {}).map(([k, v]) => [k, v == null ? "" : String(v)])));
+      return { records: strings, firstLine: 1 };
+    } catch {
+      return { error: "JSON inválido" };
+    }
+  }
+  const [header, ...rows] = parseCsv(value);
+  const columns = header.map((h) => h.trim());
+  const missing = EXPORT_COLUMNS[dataset].filter((c) => c !== "id" && c !== "active" && !columns.includes(c));
+  if (dataset === "coupons" && missing.some((c) => ["merchantId", "title"].includes(c))) {
+    return { error: "Faltan columnas: {columns}", vars: { columns: missing.join(", ") } };
+  }
+  if (dataset === "merchants" && missing.includes("name")) return { error: "Falta la columna name" };
+  const unescape = (cell) => cell.trim().replace(/^'(?=[=+\-@])/, ""); // undo csvCell's guard
+  return { records: rows.map((r) => Object.fromEntries(columns.map((c, i) => [c, unescape(r[i] ?? "")]))), firstLine: 2 };
+}
+
+// Ids or names (any case) -> id of a non-deleted item, or undefined
+const resolveRef = (list, value) => {
+  const v = String(value ?? "").trim().toLowerCase();
+  return list.find((x) => !x.deletedAt && (x.id.toLowerCase() === v || x.name?.trim().toLowerCase() === v))?.id;
+};
+
+const importLimit = (v) => (v === "" || v == null ? null : Number(v));
+const importFlag = (v) => !/^(false|0|no|inactivo)$/i.test(String(v ?? "").trim());
+
+// -> [{ line, item, action: "create" | "update", errors: [{ message, vars }] }]. Rows are checked against
+// the store plus the rows before them, so duplicates inside the file are caught too.
+function validateImport(store, dataset, records, firstLine = 2) {
+  let working = store;
+  return records.map((raw, i) => {
+    const line = firstLine + i;
+    const errors = [];
+    const list = working[dataset];
+    const existing = raw.id && list.find((x) => x.id === raw.id && !x.deletedAt);
+    let item;
+    if (dataset === "merchants") {
+      item = {
+        ...existing,
+        id: raw.id || uuidv4(),
+        name: raw.name?.trim(),
+        locality: resolveRef(working.localities, raw.locality) ?? raw.locality,
+        category: resolveRef(working.categories, raw.category) ?? raw.category,
+        ...(raw.active ? { active: importFlag(raw.active) } : {}),
+      };
+      const refused = merchantRefusal(working, item);
+      if (refused) errors.push(refused);
+    } else {
+      item = {
+        ...existing,
+        id: raw.id || uuidv4(),
+        // A missing column keeps what the coupon had; an empty cell clears it (or fails
+        // the required-field checks below)
+        merchantId: resolveRef(working.merchants, raw.merchantId ?? existing?.merchantId) ?? "",
+        title: (raw.title ?? existing?.title)?.trim(),
+        benefit: (raw.benefit ?? existing?.benefit)?.trim(),
+        terms: raw.terms ?? existing?.terms ?? "",
+        startsAt: raw.startsAt ?? existing?.startsAt,
+        endsAt: raw.endsAt ?? existing?.endsAt,
+        status: existing?.status ?? (raw.status || "draft"),
+        maxRedemptions: importLimit(raw.maxRedemptions ?? existing?.maxRedemptions),
+        maxPerDay: importLimit(raw.maxPerDay ?? existing?.maxPerDay),
+        maxPerUser: importLimit(raw.maxPerUser ?? existing?.maxPerUser),
+        codeTtlHours: importLimit(raw.codeTtlHours ?? existing?.codeTtlHours),
+      };
+      if (!item.merchantId) {
+        errors.push(
+          raw.merchantId
+            ? { message: "Comercio desconocido: {value}", vars: { value: raw.merchantId } }
+            : { message: "Comercio desconocido: (vacío)" }
+        );
+      }
+      const refused = item.merchantId && couponFormRefusal(item);
+      if (refused) errors.push(refused);
+      if (!COUPON_TRANSITIONS[item.status]) errors.push({ message: "Estado inválido: {status}", vars: { status: item.status } });
+      if (existing && raw.status && raw.status !== existing.status) errors.push({ message: "El estado se cambia desde la lista de cupones" });
+      ["maxRedemptions", "maxPerDay", "maxPerUser"].forEach((k) => {
+        if (item[k] != null && !(Number.isInteger(item[k]) && item[k] >= 0)) {
+          errors.push({ message: "{column} debe ser un entero ≥ 0", vars: { column: k } });
+        }
+      });
+    }
+    if (!errors.length) working = { ...working, [dataset]: unionBy([item], list, "id") };
+    return { line, item, action: existing ? "update" : "create", errors };
+  });
+}
+
+// === Tourist identity & wallet =================================================
+// The tourist id is per device (its own localStorage key, outside the shared store) so
+// a refresh keeps finding the tourist's unredeemed codes. A wallet export carries the id,
+// the optional contact and those codes ("CTW1.<base64url JSON>") to another device,
+// as text or QR; importing it adopts that id and moves this device's codes over.
+const TOURIST_KEY = "ct-tourist-v1";
+const WALLET_PREFIX = "CTW1.";
+
+function loadTourist() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(TOURIST_KEY));
+    if (saved?.id) return saved;
+  } catch {
+    // Unreadable identity: start a fresh one below
+  }
+  return { id: uuidv4(), contact: null, createdAt: new Date().toISOString() };
+}
+
+function useTouristIdentity() {
+  const [tourist, setTourist] = useState(loadTourist);
+  useEffect(() => {
+    try {
+      localStorage.setItem(TOURIST_KEY, JSON.stringify(tourist));
+    } catch {
+      // Private mode: identity lasts for this session only
+    }
+  }, [tourist]);
+  return [tourist, setTourist];
+}
+
+// Email (lowercased) or phone (digits, optional leading +) -> { ok, contact } | { ok: false, message }
+function normalizeContact(input) {
+  const value = String(input ?? "").trim();
+  if (!value) return { ok: true, contact: null };
+  if (/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)) return { ok: true, contact: value.toLowerCase() };
+  const phone = value.replace(/[\s()-]/g, "");
+  if (/^\+?\d{8,15}$/.test(phone)) return { ok: true, contact: phone };
+  return { ok: false, message: "Ingresá un email o un teléfono válido" };
+}
+
+function encodeWallet(tourist, records) {
+  const wallet = { v: 1, id: tourist.id, contact: tourist.contact, issued: records };
+  return WALLET_PREFIX + b64url(new TextEncoder().encode(JSON.stringify(wallet)));
+}
+
+function decodeWallet(text) {
+  const invalid = { ok: false, message: "Código de billetera inválido" };
+  const value = String(text ?? "").trim();
+  if (!value.startsWith(WALLET_PREFIX)) return invalid;
+  try {
+    const wallet = JSON.parse(new TextDecoder().decode(fromB64url(value.slice(WALLET_PREFIX.length))));
+    if (wallet.v !== 1 || !wallet.id || !Array.isArray(wallet.issued)) return invalid;
+    if (!wallet.issued.every((r) => r.code && r.couponId && r.issuedAt)) return invalid;
+    return { ok: true, wallet };
+  } catch {
+    return invalid;
+  }
+}
+
+// A wallet is unsigned, so importing it may only move codes to userId, never rewrite them ->
+// { accepted, refused }. A code the store has keeps its stored record (cancellation, expiry and
+// token included) and moves only if the wallet agrees on its coupon and issue time. An unknown
+// code needs a token that verified (verified: code -> token payload) and is rebuilt from it.
+function walletImport(incoming, stored, userId, verified = {}) {
+  const accepted = [];
+  let refused = 0;
+  incoming.forEach((r) => {
+    const known = stored.find((s) => s.code === r.code);
+    const payload = verified[r.code];
+    if (known && known.couponId === r.couponId && known.issuedAt === r.issuedAt) {
+      accepted.push({ ...known, userId });
+    } else if (!known && payload?.k === r.code) {
+      accepted.push({
+        code: payload.k,
+        couponId: payload.c,
+        issuedAt: payload.t,
+        userId,
+        token: r.token,
+        ...(payload.x ? { expiresAt: payload.x } : {}),
+      });
+    } else {
+      refused += 1;
+    }
+  });
+  return { accepted, refused };
+}
+
+// "Mis cupones": the tourist's codes grouped by what can still be done with them
+const WALLET_GROUPS = {
+  valid: "Vigentes",
+  redeemed: "Canjeados",
+  expired: "Vencidos",
+};
+
+// -> { group, reason }; reason (Spanish source text) says why an expired code is no longer
+// usable, or why a valid one can't be redeemed right now (paused or not started coupon)
+function walletStatus(record, coupon, redemption, now = new Date()) {
+  if (redemption && isCounted(redemption)) return { group: "redeemed", reason: null };
+  if (redemption && burnsCode(redemption)) return { group: "expired", reason: "Canje anulado" };
+  if (record.cancelledAt) return { group: "expired", reason: "Anulado" };
+  if (isCodeExpired(record, now)) return { group: "expired", reason: "Código vencido" };
+  if (!coupon || coupon.deletedAt) return { group: "expired", reason: "Cupón eliminado" };
+  const state = couponState(coupon, now);
+  if (state === "expired" || state === "archived") return { group: "expired", reason: COUPON_STATES[state].message };
+  return { group: "valid", reason: couponRefusal(coupon, "redeem", now)?.message ?? null };
+}
+
+// userId's codes, newest first, as { valid: [...], redeemed: [...], expired: [...] } of
+// { record, coupon, redemption, reason }
+function walletEntries({ issued, redemptions, coupons }, userId, now = new Date()) {
+  const groups = Object.fromEntries(Object.keys(WALLET_GROUPS).map((g) => [g, []]));
+  const mine = issued.filter((r) => r.userId === userId);
+  const known = new Set(mine.map((r) => r.code));
+  // Redemptions of codes this device never saw issued still belong in the history
+  const unseen = redemptions.filter((r) => r.userId === userId && !known.has(r.code));
+  [...mine, ...unseen].sort(byDateDesc("issuedAt")).forEach((record) => {
+    const coupon = coupons.find((c) => c.id === record.couponId);
+    const redemption = redemptions.find((x) => x.code === record.code && x.redeemedAt);
+    const { group, reason } = walletStatus(record, coupon, redemption, now);
+    groups[group].push({ record, coupon, redemption: group === "redeemed" ? redemption : null, reason });
+  });
+  return groups;
+}
+
+// === Access control ============================================================
+// Roles: tourist (anyone, no login), merchant (one merchantId, unlocked with its PIN)
+// and admin (password). Credentials are PBKDF2-SHA-256 hashes in store.credentials, kept
+// in this browser's saved store only: they never go to the repository or the /api backend.
+// A session lives only in the running app's memory, so a reload asks again: anything read
+// back from storage could have been written by hand. It ends after SESSION_IDLE_MINUTES
+// without activity, or as soon as its credential changes (e.g. the admin reset the PIN).
+// Failed logins are logged like failed codes and lock that credential on that terminal
+// (see loginLockout).
+// This guards the demo UI only; a real backend has to check credentials itself.
+const PBKDF2_ITERATIONS = 100000;
+const SESSION_IDLE_MINUTES = 15;
+const ROLE_LABELS = { tourist: "Turista", merchant: "Comercio", admin: "Admin" };
+
+const credentialId = (role, merchantId) => (role === "admin" ? "admin" : `merchant:${merchantId}`);
+
+// -> { salt, hash, iterations }, all but iterations in base64url
+async function hashSecret(secret, salt = b64url(crypto.getRandomValues(new Uint8Array(16))), iterations = PBKDF2_ITERATIONS) {
+  const key = await crypto.subtle.importKey("raw", new TextEncoder().encode(secret), "PBKDF2", false, ["deriveBits"]);
+  const bits = await crypto.subtle.deriveBits({ name: "PBKDF2", hash: "SHA-256", salt: fromB64url(salt), iterations }, key, 256);
+  return { salt, hash: b64url(bits), iterations };
+}
+
+async function verifySecret(secret, credential) {
+  const { hash } = await hashSecret(String(secret ?? ""), credential.salt, credential.iterations);
+  // Compare every character so the time taken doesn't tell how much matched
+  let diff = hash.length ^ credential.hash.length;
+  for (let i = 0; i < hash.length; i++) diff |= hash.charCodeAt(i) ^ (credential.hash.charCodeAt(i) || 0);
+  return diff === 0;
+}
+
+function secretRefusal(role, secret) {
+  if (role === "merchant" && !/^\d{4,8}$/.test(secret)) return { ok: false, message: "El PIN tiene que tener entre 4 y 8 dígitos" };
+  if (role === "admin" && String(secret ?? "").length < 8) {
+    return { ok: false, message: "La contraseña tiene que tener al menos 8 caracteres" };
+  }
+  return null;
+}
+
+const idleUntil = (now = new Date()) => new Date(now.getTime() + SESSION_IDLE_MINUTES * 60000).toISOString();
+
+// A session is { role, merchantId, credentialAt: the credential's updatedAt, expiresAt }
+function sessionValid(session, credentials, now = new Date()) {
+  if (!session || now >= new Date(session.expiresAt)) return false;
+  const credential = credentials.find((c) => c.id === credentialId(session.role, session.merchantId));
+  return Boolean(credential) && credential.updatedAt === session.credentialAt;
+}
+
+// Admins may open every view; merchants only the till (bound to their merchantId)
+const canAccess = (session, role) => role === "tourist" || session?.role === "admin" || session?.role === role;
+
+// -> { session (null when logged out or expired), expired, login(role, merchantId, secret), logout, renew(credential) }
+function useSession(store) {
+  const { credentials } = store;
+  const [session, setSession] = useState(null);
+  const now = useNow(30000);
+  const active = sessionValid(session, credentials, now) ? session : null;
+
+  // Activity pushes the expiry forward, at most once a minute
+  useEffect(() => {
+    if (!active) return;
+    const touch = () => {
+      const until = idleUntil();
+      if (Date.parse(until) - Date.parse(active.expiresAt) > 60000) setSession((prev) => prev && { ...prev, expiresAt: until });
+    };
+    window.addEventListener("pointerdown", touch);
+    window.addEventListener("keydown", touch);
+    return () => {
+      window.removeEventListener("pointerdown", touch);
+      window.removeEventListener("keydown", touch);
+    };
+  }, [active]);
+
+  const login = async (role, merchantId, secret) => {
+    const credential = credentials.find((c) => c.id === credentialId(role, merchantId));
+    if (!credential) return { ok: false, message: "Este comercio todavía no tiene PIN: pedíselo a la oficina de turismo" };
+    const lock = loginLockout(store.attempts, store.terminalId, role, merchantId);
+    if (lock) return lockoutRefusal(lock);
+    if (!(await verifySecret(secret, credential))) {
+      store.recordLoginFailure(role, merchantId);
+      return { ok: false, message: role === "admin" ? "Contraseña incorrecta" : "PIN incorrecto" };
+    }
+    setSession({
+      role,
+      merchantId: role === "merchant" ? merchantId : null,
+      credentialAt: credential.updatedAt,
+      expiresAt: idleUntil(),
+    });
+    return { ok: true };
+  };
+
+  // Keeps this session open after its own credential changed
+  const renew = (credential) =>
+    setSession((prev) =>
+      prev && credentialId(prev.role, prev.merchantId) === credential.id ? { ...prev, credentialAt: credential.updatedAt } : prev
+    );
+
+  return { session: active, expired: Boolean(session && !active), login, logout: () => setSession(null), renew };
+}
+
+// === Brute-force protection ====================================================
+// Codes are short, so a till (or a script) could guess them. Every manual code that
+// fails the checksum or matches nothing is logged in store.attempts with the terminal
+// (this device) and the merchant. Failures in the last LOCKOUT_WINDOW_MINUTES lock the
+// terminal progressively (LOCKOUT_STEPS); the merchant's terminals together lock at
+// MERCHANT_LOCKOUT_SCALE times those counts. Failed logins are logged too (reason
+// LOGIN_REASON, code: the credential id) and lock that credential on the terminal they
+// came from, with the same steps; other terminals can still log in, so failing on purpose
+// can't lock the owner out. Dense runs show up in Admin as suspicious. All of this runs
+// in the client (see loadTerminalId).
+const TERMINAL_KEY = "ct-terminal-v1";
+const ATTEMPTS_KEPT = 1000;
+const LOCKOUT_WINDOW_MINUTES = 60;
+const LOCKOUT_STEPS = [
+  { failures: 5, minutes: 1 },
+  { failures: 8, minutes: 5 },
+  { failures: 12, minutes: 30 },
+];
+const MERCHANT_LOCKOUT_SCALE = 3;
+const BURST_WINDOW_MINUTES = 10;
+const BURST_FAILURES = 8;
+const LOGIN_REASON = "login";
+
+const isLoginFailure = (a) => a.reason === LOGIN_REASON;
+
+// This device's id, kept under TERMINAL_KEY. It only tells honest tills apart: clearing
+// ct-terminal-v1 gives a fresh id and so sheds the terminal lock, and clearing the site
+// data (in local mode the attempts live in the same saved store) sheds the merchant lock
+// too. The locks run in the client only, so a script calling the store or /api skips them:
+// they slow down honest tills, a backend has to count failures itself to stop guessing.
+function loadTerminalId() {
+  try {
+    const saved = localStorage.getItem(TERMINAL_KEY);
+    if (saved) return saved;
+    const id = uuidv4();
+    localStorage.setItem(TERMINAL_KEY, id);
+    return id;
+  } catch {
+    return uuidv4(); // No storage: a new terminal per load
+  }
+}
+
+// Recent failures -> the Date the lock ends, or null. Each failure past a step locks again.
+function lockedUntil(failures, now = new Date(), scale = 1) {
+  const recent = failures.filter((a) => now - new Date(a.at) < LOCKOUT_WINDOW_MINUTES * 60000);
+  const step = [...LOCKOUT_STEPS].reverse().find((s) => recent.length >= s.failures * scale);
+  if (!step) return null;
+  const until = new Date(Math.max(...recent.map((a) => Date.parse(a.at))) + step.minutes * 60000);
+  return until > now ? until : null;
+}
+
+// -> { scope: "terminal" | "merchant", until } or null
+function lockout(attempts, terminalId, merchantId, now = new Date()) {
+  const codes = attempts.filter((a) => !isLoginFailure(a));
+  const terminal = lockedUntil(codes.filter((a) => a.terminalId === terminalId), now);
+  if (terminal) return { scope: "terminal", until: terminal };
+  const merchant = merchantId && lockedUntil(codes.filter((a) => a.merchantId === merchantId), now, MERCHANT_LOCKOUT_SCALE);
+  return merchant ? { scope: "merchant", until: merchant } : null;
+}
+
+// Failed logins from terminalId to one merchant's PIN (or the admin password)
+// -> { scope: "login", until } or null
+function loginLockout(attempts, terminalId, role, merchantId, now = new Date()) {
+  const id = credentialId(role, merchantId);
+  const until = lockedUntil(attempts.filter((a) => isLoginFailure(a) && a.code === id && a.terminalId === terminalId), now);
+  return until ? { scope: "login", until } : null;
+}
+
+function lockoutRefusal(lock, now = new Date()) {
+  const minutes = Math.ceil((lock.until - now) / 60000);
+  if (lock.scope === "login") {
+    return { ok: false, message: "Demasiados ingresos fallidos: probá de nuevo en {minutes} min", vars: { minutes }, lockout: lock };
+  }
+  const message =
+    lock.scope === "terminal"
+      ? "Demasiados códigos inválidos en este equipo: probá de nuevo en {minutes} min"
+      : "Demasiados códigos inválidos en este comercio: probá de nuevo en {minutes} min";
+  return { ok: false, message, vars: { minutes }, lockout: lock };
+}
+
+// Runs of at least BURST_FAILURES failures within BURST_WINDOW_MINUTES from one terminal
+// and merchant, codes and logins apart -> [{ terminalId, merchantId, login, count, from, to }],
+// most recent first
+function suspiciousBursts(attempts) {
+  const groups = {};
+  attempts.forEach((a) => {
+    const key = `${a.terminalId}|${a.merchantId}|${isLoginFailure(a)}`;
+    (groups[key] = groups[key] || []).push(a);
+  });
+  const bursts = [];
+  Object.values(groups).forEach((list) => {
+    const times = list.map((a) => Date.parse(a.at)).sort((x, y) => x - y);
+    let start = 0; // first failure inside the window ending at times[i]
+    let current = null;
+    times.forEach((t, i) => {
+      while (t - times[start] > BURST_WINDOW_MINUTES * 60000) start++;
+      if (i - start + 1 < BURST_FAILURES) return;
+      if (!current || times[start] > current.to) {
+        const { terminalId, merchantId } = list[0];
+        current = { terminalId, merchantId, login: isLoginFailure(list[0]), firstIndex: start, from: times[start] };
+        bursts.push(current);
+      }
+      current.to = t;
+      current.count = i - current.firstIndex + 1;
+    });
+  });
+  return bursts
+    .map((b) => ({
+      terminalId: b.terminalId,
+      merchantId: b.merchantId,
+      login: b.login,
+      count: b.count,
+      from: new Date(b.from).toISOString(),
+      to: new Date(b.to).toISOString(),
+    }))
+    .sort((a, b) => b.to.localeCompare(a.to));
+}
+
+// === Demo Store (App State) =====================================================
+function useDemoStore() {
+  // Tourist identity, persisted per device
+  const [tourist, setTourist] = useTouristIdentity();
+  const sessionUserId = tourist.id;
+
+  const [store, setStore, loadReport, dismissLoadReport] = usePersistentState(INITIAL_STORE);
+  // This device, for the brute-force lockout
+  const [terminalId] = useState(loadTerminalId);
+
+  // Repository writes run in the background; failures stay listed until retried
+  const repo = useMemo(() => createRepository(), []);
+  const [sync, setSync] = useState({ pending: 0, failed: [] }); // failed: [{label,message,run}]
+
+  const track = useCallback((label, run) => {
+    setSync((s) => ({ ...s, pending: s.pending + 1 }));
+    return run().then(
+      () => setSync((s) => ({ ...s, pending: s.pending - 1 })),
+      (err) =>
+        setSync((s) => ({ pending: s.pending - 1, failed: [...s.failed, { label, message: err.message, vars: err.vars, run }] }))
+    );
+  }, []);
+
+  const retrySync = () => {
+    const { failed } = sync;
+    setSync((s) => ({ ...s, failed: [] }));
+    failed.forEach(({ label, run }) => track(label, run));
+  };
+
+  useEffect(() => {
+    track("cargar los datos", () =>
+      repo.load().then((data) => setStore((prev) => mergeStores({ ...prev, ...data }, prev)))
+    );
+  }, [repo, track, setStore]);
+
+  // Offline queue replay: on reconnect, every QUEUE_RETRY_MS while something waits, or on demand
+  const storeRef = useRef(store);
+  useEffect(() => {
+    storeRef.current = store;
+  });
+  const queuedCount = store.redemptions.filter((r) => r.syncStatus === "pending").length;
+
+  const replayQueue = useCallback(
+    () =>
+      withStoreLock(async () => {
+        const queue = storeRef.current.redemptions.filter((r) => r.syncStatus === "pending").reverse(); // oldest first
+        if (!queue.length) return;
+        const outcomes = await replayRedemptions(queue, repo);
+        if (outcomes.length) setStore((prev) => ({ ...prev, redemptions: applyReplay(prev.redemptions, outcomes) }));
+      }),
+    [repo, setStore]
+  );
+
+  useEffect(() => {
+    if (!queuedCount) return;
+    window.addEventListener("online", replayQueue);
+    const timer = setInterval(replayQueue, QUEUE_RETRY_MS);
+    return () => {
+      window.removeEventListener("online", replayQueue);
+      clearInterval(timer);
+    };
+  }, [queuedCount, replayQueue]);
+
+  // The merchant reviewed a conflict: keep the server's redemption
+  const resolveConflict = (code) =>
+    setStore((prev) => ({
+      ...prev,
+      redemptions: prev.redemptions.map((r) =>
+        r.code === code && r.syncStatus === "conflict" ? { ...(r.conflictWith || withoutSync(r)), conflictResolved: true } : r
+      ),
+    }));
+
+  // Build a quick lookup for uniqueness
+  const existingCodes = useMemo(() => {
+    const set = new Set();
+    store.issued.forEach((r) => set.add(r.code));
+    store.redemptions.forEach((r) => set.add(r.code));
+    return set;
+  }, [store.issued, store.redemptions]);
+
+  // Deleted coupons stay in the store as tombstones (see Cross-tab sync) but nowhere else
+  const coupons = useMemo(() => store.coupons.filter((c) => !c.deletedAt), [store.coupons]);
+
+  const putCoupon = (coupon) => {
+    setStore((prev) => ({ ...prev, coupons: unionBy([coupon], prev.coupons, "id") }));
+    track("guardar el cupón", () => repo.saveCoupon(coupon));
+  };
+
+  const createCoupon = (coupon, status = "active") => {
+    const created = { ...coupon, id: uuidv4(), status };
+    const refused = couponFormRefusal(created);
+    if (refused) return refused;
+    putCoupon(created);
+    return { ok: true, message: status === "draft" ? "Borrador guardado" : "Cupón creado", coupon: created };
+  };
+
+  // Editor fields only; status moves go through setCouponStatus
+  const updateCoupon = (couponId, fields) => {
+    const coupon = coupons.find((c) => c.id === couponId);
+    if (!coupon) return { ok: false, message: "Cupón no encontrado" };
+    const updated = { ...coupon, ...fields, id: coupon.id, status: coupon.status };
+    const refused = couponFormRefusal(updated);
+    if (refused) return refused;
+    putCoupon(updated);
+    return { ok: true, message: "Cupón actualizado", coupon: updated };
+  };
+
+  // The copy starts as a draft so it can be reviewed before publishing
+  const duplicateCoupon = (couponId) => {
+    const coupon = coupons.find((c) => c.id === couponId);
+    if (!coupon) return { ok: false, message: "Cupón no encontrado" };
+    const copy = { ...coupon, id: uuidv4(), title: `${coupon.title} (copia)`, status: "draft" };
+    delete copy.pauseBlocksIssued;
+    putCoupon(copy);
+    return { ok: true, message: "Cupón duplicado como borrador", coupon: copy };
+  };
+
+  const deleteCoupon = (couponId) => {
+    const res = couponRemoval(store, coupons.find((c) => c.id === couponId));
+    if (!res.ok) return res;
+    if (res.action === "archive") {
+      const archived = setCouponStatus(couponId, "archived");
+      if (!archived.ok) return archived;
+    } else {
+      putCoupon(res.coupon);
+    }
+    return { ok: true, message: res.message };
+  };
+
+  const setCouponStatus = (couponId, status, { blockIssued = false } = {}) => {
+    const coupon = store.coupons.find((c) => c.id === couponId);
+    if (!coupon) return { ok: false, message: "Cupón no encontrado" };
+    if (!COUPON_TRANSITIONS[coupon.status]?.[status]) {
+      return {
+        ok: false,
+        message: "No se puede pasar de {from} a {to}",
+        vars: { from: (t) => t(COUPON_STATES[coupon.status].label), to: (t) => t(COUPON_STATES[status].label) },
+      };
+    }
+    const updated = { ...coupon, status, pauseBlocksIssued: status === "paused" && blockIssued };
+    setStore((prev) => ({ ...prev, coupons: prev.coupons.map((c) => (c.id === couponId ? updated : c)) }));
+    track("guardar el cupón", () => repo.saveCoupon(updated));
+    return { ok: true, message: "Cupón {state}", vars: { state: (t) => t(COUPON_STATES[status].label) } };
+  };
+
+  // Directory (see Directory): all return { ok, message }
+  const saveMerchant = (input) => {
+    const merchant = { ...input, id: input.id || uuidv4(), name: input.name?.trim() };
+    const refused = merchantRefusal(store, merchant);
+    if (refused) return refused;
+    const created = !store.merchants.some((m) => m.id === merchant.id);
+    setStore((prev) => ({ ...prev, merchants: unionBy([merchant], prev.merchants, "id") }));
+    track("guardar el comercio", () => repo.saveMerchant(merchant));
+    return { ok: true, message: created ? "Comercio creado" : "Comercio actualizado", merchant };
+  };
+
+  const setMerchantActive = (merchantId, active) => {
+    const merchant = store.merchants.find((m) => m.id === merchantId);
+    if (!merchant) return { ok: false, message: "Comercio no encontrado" };
+    const updated = { ...merchant, active };
+    setStore((prev) => ({ ...prev, merchants: prev.merchants.map((m) => (m.id === merchantId ? updated : m)) }));
+    track("guardar el comercio", () => repo.saveMerchant(updated));
+    return { ok: true, message: active ? "Comercio reactivado" : "Comercio desactivado" };
+  };
+
+  const putEntry = (kind, entry) => {
+    setStore((prev) => ({ ...prev, [kind]: unionBy([entry], prev[kind], "id") }));
+    const save = kind === "localities" ? repo.saveLocality : repo.saveCategory;
+    track(DIRECTORY_KINDS[kind].saving, () => save(entry));
+  };
+
+  // kind: "localities" | "categories"
+  const saveEntry = (kind, input) => {
+    const name = input.name?.trim();
+    const entry = { ...input, name, id: input.id || slugId(name || "", store[kind]) };
+    const refused = nameRefusal(store[kind], entry);
+    if (refused) return refused;
+    putEntry(kind, entry);
+    return { ok: true, message: DIRECTORY_KINDS[kind].messages.saved, entry };
+  };
+
+  const setEntryActive = (kind, id, active) => {
+    const entry = store[kind].find((x) => x.id === id && !x.deletedAt);
+    if (!entry) return { ok: false, message: DIRECTORY_KINDS[kind].messages.missing };
+    const refused = !active && entryRemovalRefusal(store, kind, id, "deactivate");
+    if (refused) return refused;
+    putEntry(kind, { ...entry, active });
+    const { messages } = DIRECTORY_KINDS[kind];
+    return { ok: true, message: active ? messages.reactivated : messages.deactivated };
+  };
+
+  const deleteEntry = (kind, id) => {
+    const entry = store[kind].find((x) => x.id === id && !x.deletedAt);
+    if (!entry) return { ok: false, message: DIRECTORY_KINDS[kind].messages.missing };
+    const refused = entryRemovalRefusal(store, kind, id, "delete");
+    if (refused) return refused;
+    putEntry(kind, { ...entry, active: false, deletedAt: new Date().toISOString() });
+    return { ok: true, message: DIRECTORY_KINDS[kind].messages.deleted };
+  };
+
+  // Valid rows from validateImport (see Export & import); invalid ones are skipped
+  const importRows = (dataset, rows) => {
+    const items = rows.filter((r) => !r.errors.length).map((r) => r.item);
+    if (!items.length) return { ok: false, message: "No hay filas válidas para importar" };
+    setStore((prev) => ({ ...prev, [dataset]: unionBy(items, prev[dataset], "id") }));
+    const save = dataset === "merchants" ? repo.saveMerchant : repo.saveCoupon;
+    items.forEach((item) => track(dataset === "merchants" ? "guardar el comercio" : "guardar el cupón", () => save(item)));
+    const skipped = rows.length - items.length;
+    return skipped
+      ? { ok: true, message: "{n} fila(s) importada(s), {skipped} con errores omitida(s)", vars: { n: items.length, skipped } }
+      : { ok: true, message: "{n} fila(s) importada(s)", vars: { n: items.length } };
+  };
+
+  const hasIssuedActive = (couponId) =>
+    store.issued.find(
+      (r) =>
+        r.couponId === couponId &&
+        r.userId === sessionUserId &&
+        !r.cancelledAt &&
+        !isCodeExpired(r) &&
+        !store.redemptions.some((x) => x.code === r.code && burnsCode(x))
+    );
+
+  // The repository signs what it saves (see Signed codes): the record is usable right away
+  // and gets its token when the save comes back. Unsaved, the short code still redeems.
+  const saveIssuance = (record) =>
+    track("guardar el código", () =>
+      repo.saveIssuance(record).then((saved) => {
+        if (!saved?.token || saved.token === record.token) return;
+        setStore((prev) => ({
+          ...prev,
+          issued: prev.issued.map((r) => (r.code === record.code ? { ...r, token: saved.token } : r)),
+        }));
+      })
+    );
+
+  const issueCoupon = (couponId) => {
+    const coupon = store.coupons.find((c) => c.id === couponId);
+    if (!coupon) return { ok: false, message: "Cupón no encontrado" };
+    const refused = couponRefusal(coupon, "issue");
+    if (refused) return refused;
+
+    // If user already has an unredeemed, unexpired issuance for this coupon, reuse it: the
+    // caps only stop new codes (a sold-out coupon still shows the code the tourist holds)
+    const existing = hasIssuedActive(couponId);
+    if (existing) {
+      if (!existing.token) saveIssuance(existing);
+      return { ok: true, record: existing, reused: true };
+    }
+    const capped = limitRefusal(coupon, store.redemptions, sessionUserId);
+    if (capped) return capped;
+
+    const code = generateCode(existingCodes);
+    const now = new Date().toISOString();
+    const expiresAt = codeExpiry(coupon, now);
+    const record = { code, couponId, issuedAt: now, userId: sessionUserId, ...(expiresAt ? { expiresAt } : {}) };
+    setStore((prev) => ({ ...prev, issued: [record, ...prev.issued] }));
+    saveIssuance(record);
+    return { ok: true, record, reused: false };
+  };
+
+  // The tourist drops a code they no longer want; the record stays so no till accepts it
+  const cancelIssuance = (code) => {
+    const record = store.issued.find((r) => r.code === code && r.userId === sessionUserId);
+    if (!record || record.cancelledAt) return { ok: false, message: "Código no encontrado" };
+    if (store.redemptions.some((r) => r.code === code && burnsCode(r))) return { ok: false, message: "Código ya canjeado" };
+    const cancelled = { ...record, cancelledAt: new Date().toISOString() };
+    setStore((prev) => ({ ...prev, issued: prev.issued.map((r) => (r.code === code ? cancelled : r)) }));
+    track("guardar el código", () => repo.saveIssuance(cancelled));
+    return { ok: true, message: "Código anulado" };
+  };
+
+  // Our state plus anything another tab saved that hasn't reached us yet
+  const latestStore = () => {
+    const saved = readSaved();
+    return saved ? mergeStores(store, saved) : store;
+  };
+
+  // Shared tail of redeemCode/redeemToken, run under the store lock against the latest
+  // data. The coupon may be unknown on a merchant device that only verified a signed
+  // token: then the signed merchant id is all we can check.
+  const redeemRecord = async (latest, record, merchantId) => {
+    const coupon = latest.coupons.find((c) => c.id === record.couponId);
+    const owner = coupon?.merchantId ?? record.merchantId;
+    if (merchantId && owner !== merchantId) return { ok: false, message: "El código es de otro comercio" };
+    const already = latest.redemptions.find((r) => r.code === record.code && r.redeemedAt);
+    if (already && isCounted(already)) return { ok: false, message: "Código ya canjeado" };
+    if (already && burnsCode(already)) return { ok: false, message: "Código anulado por el comercio" };
+    if (record.cancelledAt) return { ok: false, message: "Código anulado por el turista" };
+    if (isCodeExpired(record)) return CODE_EXPIRED;
+    if (coupon) {
+      const refused =
+        couponRefusal(coupon, "redeem") ||
+        scheduleRefusal(coupon.schedule) ||
+        limitRefusal(coupon, latest.redemptions, record.userId);
+      if (refused) return refused;
+    }
+    const now = new Date().toISOString();
+    const newRed = { ...withoutVoid(record), redeemedAt: now, merchantId: owner };
+    // A restored code replaces its voided redemption
+    const others = (list) => list.filter((r) => r.code !== record.code);
+    // The repository has the last word on double spending. Locally this saves before the
+    // lock is released, so the next tab to check sees this redemption.
+    try {
+      await repo.saveRedemption(newRed);
+    } catch (err) {
+      if (err.offline) {
+        const queued = { ...newRed, syncStatus: "pending" };
+        try {
+          writeSaved({ ...latest, redemptions: [queued, ...others(latest.redemptions)] }); // other tabs must see it too
+        } catch {
+          // Storage unavailable: this tab still queues it
+        }
+        setStore((prev) => ({ ...prev, redemptions: [queued, ...others(prev.redemptions)] }));
+        return { ok: true, message: "Canje registrado (pendiente de sincronizar)", redemption: queued };
+      }
+      if (!err.conflict) {
+        return { ok: false, message: "No se pudo registrar el canje: {error}", vars: { error: (t) => t(err.message, err.vars) } };
+      }
+      if (err.existing) {
+        setStore((prev) => ({ ...prev, redemptions: unionBy(prev.redemptions, [err.existing], "code") }));
+      }
+      return { ok: false, message: "Código ya canjeado" };
+    }
+    setStore((prev) => ({ ...prev, redemptions: [newRed, ...others(prev.redemptions)] }));
+    return { ok: true, message: "Canje registrado", redemption: newRed };
+  };
+
+  // Logs a failed code or login (see Brute-force protection); saved right away so other tabs count it
+  const recordAttempt = (latest, fields) => {
+    const attempt = { id: uuidv4(), ...fields, terminalId, at: new Date().toISOString() };
+    try {
+      writeSaved({ ...latest, attempts: [attempt, ...latest.attempts].slice(0, ATTEMPTS_KEPT) });
+    } catch {
+      // Storage unavailable: this tab still counts it
+    }
+    setStore((prev) => ({ ...prev, attempts: [attempt, ...prev.attempts].slice(0, ATTEMPTS_KEPT) }));
+    track("guardar el intento", () => repo.saveAttempt(attempt));
+  };
+
+  const recordLoginFailure = (role, merchantId) =>
+    recordAttempt(latestStore(), {
+      code: credentialId(role, merchantId),
+      reason: LOGIN_REASON,
+      merchantId: role === "merchant" ? merchantId : null,
+    });
+
+  // merchantId scopes the till: codes of another merchant's coupon are refused. Async: waits for the store lock.
+  const redeemCode = (code, merchantId) =>
+    withStoreLock(() => {
+      const latest = latestStore();
+      const lock = lockout(latest.attempts, terminalId, merchantId);
+      if (lock) return lockoutRefusal(lock);
+      const fail = (reason, message) => {
+        recordAttempt(latest, { code: String(code), reason, merchantId });
+        return { ok: false, message };
+      };
+      // validate check character
+      if (!isValidCheck(code)) return fail("checksum", "Código inválido (checksum)");
+      const issuedRecord = [...latest.issued, ...latest.redemptions].find((r) => r.code === code);
+      const coupon = latest.coupons.find((c) => c.id === issuedRecord?.couponId);
+      if (!issuedRecord || !coupon) return fail("not_found", "Código no encontrado");
+      return redeemRecord(latest, issuedRecord, merchantId);
+    });
+
+  // Signed QR: verified offline with the issuer's public key, so it redeems even when this
+  // device never saw the issuance. Without the key, or when the signature doesn't check
+  // out, the short code inside is redeemed like a typed one (checksum, known issuance, lockout).
+  const redeemToken = async (token, merchantId) => {
+    const publicKey = store.verifyKey || store.issuerKey;
+    const res = publicKey ? await verifyToken(token, publicKey) : null;
+    if (!res?.ok) {
+      const code = (!res || res.badSignature) && tokenCode(token);
+      if (code) return redeemCode(code, merchantId);
+      return res ?? { ok: false, message: "Falta la clave de verificación" };
+    }
+    const { c, m, u, k, t } = res.payload;
+    return withStoreLock(() => {
+      const latest = latestStore();
+      const record = latest.issued.find((r) => r.code === k) || {
+        code: k,
+        couponId: c,
+        issuedAt: t,
+        userId: u,
+        merchantId: m,
+        ...(res.payload.x ? { expiresAt: res.payload.x } : {}),
+      };
+      return redeemRecord(latest, record, merchantId);
+    });
+  };
+
+  // The till undoes one of its redemptions; form = { by, reason, restore } (see Voids)
+  const voidRedemption = (code, merchantId, form, session) =>
+    withStoreLock(async () => {
+      const latest = latestStore();
+      const redemption = latest.redemptions.find((r) => r.code === code);
+      const refused = voidRefusal(redemption, merchantId) || voidFormRefusal(form);
+      if (refused) return refused;
+      const voided = voidRedemptionRecord(redemption, form, session);
+      // The redemption first: once it stops counting the audit entry follows, retried with
+      // the same id (a retry that finds it already saved is done)
+      try {
+        await repo.updateRedemption(voided.redemption);
+      } catch (err) {
+        return { ok: false, message: "No se pudo anular el canje: {error}", vars: { error: (t) => t(err.message, err.vars) } };
+      }
+      setStore((prev) => ({
+        ...prev,
+        redemptions: prev.redemptions.map((r) => (r.code === code ? voided.redemption : r)),
+        voids: [voided.entry, ...prev.voids],
+      }));
+      track("guardar la anulación", () =>
+        repo.saveVoid(voided.entry).catch((err) => {
+          if (!err.conflict) throw err;
+        })
+      );
+      return { ok: true, message: voided.entry.restored ? "Canje anulado: el código se puede volver a usar" : "Canje anulado" };
+    });
+
+  // Admin: set the admin password or a merchant's PIN (stored hashed); open sessions on it end
+  const setCredential = async (role, merchantId, secret) => {
+    const refused = secretRefusal(role, secret);
+    if (refused) return refused;
+    const credential = {
+      id: credentialId(role, merchantId),
+      role,
+      ...(role === "merchant" ? { merchantId } : {}),
+      ...(await hashSecret(secret)),
+      updatedAt: new Date().toISOString(),
+    };
+    // Not handed to the repository: hashes served to every client could be cracked offline.
+    // So a change only holds on this browser, and the message says so.
+    setStore((prev) => ({ ...prev, credentials: unionBy([credential], prev.credentials, "id") }));
+    const message =
+      role === "admin" ? "Contraseña actualizada en este navegador" : "PIN actualizado en este navegador: cambialo también en la caja del comercio";
+    return { ok: true, message, credential };
+  };
+
+  const setTouristContact = (input) => {
+    const res = normalizeContact(input);
+    if (!res.ok) return res;
+    setTourist((prev) => ({ ...prev, contact: res.contact }));
+    return { ok: true, message: res.contact ? "Contacto guardado" : "Contacto borrado" };
+  };
+
+  // Unredeemed codes of this tourist, ready to move to another device
+  const exportWallet = () =>
+    encodeWallet(
+      tourist,
+      store.issued.filter(
+        (r) =>
+          r.userId === sessionUserId &&
+          !r.cancelledAt &&
+          !isCodeExpired(r) &&
+          !store.redemptions.some((x) => x.code === r.code && burnsCode(x))
+      )
+    );
+
+  // Async: tokens of codes this device doesn't know are verified first (see walletImport)
+  const importWallet = async (text) => {
+    const res = decodeWallet(text);
+    if (!res.ok) return res;
+    const { id, contact, issued } = res.wallet;
+    const publicKey = store.verifyKey || store.issuerKey;
+    const verified = {};
+    await Promise.all(
+      issued
+        .filter((r) => publicKey && typeof r.token === "string" && !store.issued.some((s) => s.code === r.code))
+        .map(async (r) => {
+          const check = await verifyToken(r.token, publicKey);
+          if (check.ok) verified[r.code] = check.payload;
+        })
+    );
+    const { accepted, refused } = walletImport(issued, store.issued, id, verified);
+    const moved = [...accepted, ...store.issued.filter((r) => r.userId === sessionUserId).map((r) => ({ ...r, userId: id }))];
+    setStore((prev) => ({ ...prev, issued: unionBy(moved, prev.issued, "code").sort(byDateDesc("issuedAt")) }));
+    moved.forEach((r) => track("guardar el código", () => repo.saveIssuance(r)));
+    setTourist((prev) => ({ ...prev, id, contact: contact ?? prev.contact }));
+    return refused
+      ? { ok: true, message: "Billetera importada ({n} códigos, {refused} rechazados)", vars: { n: accepted.length, refused } }
+      : { ok: true, message: "Billetera importada ({n} códigos)", vars: { n: accepted.length } };
+  };
+
+  const setVerifyKey = (publicKey) => setStore((prev) => ({ ...prev, verifyKey: publicKey || null }));
+
+  const metrics = useMemo(() => {
+    const byCoupon = {};
+    store.redemptions.filter(isCounted).forEach((r) => {
+      byCoupon[r.couponId] = (byCoupon[r.couponId] || 0) + 1;
+    });
+    const byMerchant = {};
+    store.coupons.forEach((c) => {
+      const m = store.merchants.find((mm) => mm.id === c.merchantId);
+      if (!m) return;
+      byMerchant[m.id] = (byMerchant[m.id] || 0) + (byCoupon[c.id] || 0);
+    });
+    return { byCoupon, byMerchant };
+  }, [store.redemptions, store.coupons, store.merchants]);
+
+  return {
+    ...store,
+    sessionUserId,
+    tourist,
+    setTouristContact,
+    exportWallet,
+    importWallet,
+    coupons,
+    createCoupon,
+    updateCoupon,
+    duplicateCoupon,
+    deleteCoupon,
+    importRows,
+    setCredential,
+    setCouponStatus,
+    saveMerchant,
+    setMerchantActive,
+    saveEntry,
+    setEntryActive,
+    deleteEntry,
+    issueCoupon,
+    cancelIssuance,
+    redeemCode,
+    terminalId,
+    redeemLockout: (merchantId, now) => lockout(store.attempts, terminalId, merchantId, now),
+    recordLoginFailure,
+    voidRedemption,
+    redeemToken,
+    setVerifyKey,
+    hasIssuedActive,
+    metrics,
+    loadReport,
+    dismissLoadReport,
+    sync,
+    retrySync,
+    replayQueue,
+    resolveConflict,
+    setStore, // expose for debugging if needed
+  };
+}
+
+// States a tourist gets to see; scheduled ones show up marked and disabled
+const CATALOG_STATES = ["active", "scheduled"];
+
+// newest: latest start first; ending: closest end first; popular: most redeemed first
+const CATALOG_SORTS = {
+  newest: { label: "Más nuevos", compare: (a, b) => (b.startsAt || "").localeCompare(a.startsAt || "") },
+  ending: { label: "Por vencer", compare: (a, b) => (a.endsAt || "9999").localeCompare(b.endsAt || "9999") },
+  popular: { label: "Más canjeados", compare: (a, b) => b.redeemed - a.redeemed },
+};
+
+// Catalog filters live in the query string (/turista?loc=&cat=&q=&sort=) so a link reopens them.
+// Defaults are left out of the URL.
+const DEFAULT_CATALOG_FILTERS = { locality: "", category: "", query: "", sort: "newest" };
+const FILTER_PARAMS = { locality: "loc", category: "cat", query: "q", sort: "sort" };
+
+function readCatalogFilters(search) {
+  const params = new URLSearchParams(search);
+  const filters = Object.fromEntries(
+    Object.entries(FILTER_PARAMS).map(([key, param]) => [key, params.get(param) ?? DEFAULT_CATALOG_FILTERS[key]])
+  );
+  return CATALOG_SORTS[filters.sort] ? filters : { ...filters, sort: DEFAULT_CATALOG_FILTERS.sort };
+}
+
+// Current query string with the filters applied; unrelated params are kept
+function writeCatalogFilters(filters, search) {
+  const params = new URLSearchParams(search);
+  Object.entries(FILTER_PARAMS).forEach(([key, param]) => {
+    if (filters[key] && filters[key] !== DEFAULT_CATALOG_FILTERS[key]) params.set(param, filters[key]);
+    else params.delete(param);
+  });
+  const query = params.toString();
+  return query ? `?${query}` : "";
+}
+
+// replace: typing a search shouldn't fill the back button
+function useCatalogFilters() {
+  const [params, setParams] = useSearchParams();
+  const search = params.toString();
+  const filters = useMemo(() => readCatalogFilters(search), [search]);
+  const update = useCallback(
+    (patch) => setParams(writeCatalogFilters({ ...filters, ...patch }, search), { replace: true }),
+    [filters, search, setParams]
+  );
+  return [filters, update];
+}
+
+// Every word of the query must appear in the title, benefit or merchant name (accents ignored),
+// translated or in Spanish
+const matchesQuery = (coupon, words, original) => {
+  const text = foldText(`${coupon.title} ${coupon.benefit} ${original.title} ${original.benefit} ${coupon.merchant?.name}`);
+  return words.every((w) => text.includes(w));
+};
+
+// Catalog entries (coupon in `lang` + merchant, state, stock, redeemed count) matching the filters, sorted
+function catalogList({ localities, merchants, coupons, redemptions }, filters, { now = new Date(), lang = "es" } = {}) {
+  const { locality, category, query = "", sort = DEFAULT_CATALOG_FILTERS.sort } = filters;
+  const words = foldText(query).split(/\s+/).filter(Boolean);
+  const redeemed = {};
+  redemptions.filter(isCounted).forEach((r) => {
+    redeemed[r.couponId] = (redeemed[r.couponId] || 0) + 1;
+  });
+  const originals = Object.fromEntries(coupons.map((c) => [c.id, c]));
+  return coupons
+    .map((c) => ({
+      ...localizeCoupon(c, lang),
+      merchant: merchants.find((m) => m.id === c.merchantId),
+      state: couponState(c, now),
+      stock: couponStock(c, redemptions, now),
+      redeemed: redeemed[c.id] || 0,
+    }))
+    .filter(
+      (c) =>
+        CATALOG_STATES.includes(c.state) &&
+        isListed(c.merchant) &&
+        (!locality || c.merchant?.locality === locality) &&
+        (!category || c.merchant?.category === category) &&
+        matchesQuery(c, words, originals[c.id])
+    )
+    .sort((a, b) => (CATALOG_SORTS[sort] || CATALOG_SORTS.newest).compare(a, b) || a.title.localeCompare(b.title))
+    .map((c) => ({ ...c, localityName: nameOf(localities, c.merchant.locality) }));
+}
+
+function useCatalog(store, filters) {
+  const { lang } = useI18n();
+  const { localities, merchants, coupons, redemptions } = store;
+  const { locality, category, query, sort } = filters;
+  return useMemo(
+    () => catalogList({ localities, merchants, coupons, redemptions }, { locality, category, query, sort }, { lang }),
+    [localities, merchants, coupons, redemptions, locality, category, query, sort, lang]
+  );
+}
+
+// === UI Blocks =================================================================
+const isSoldOut = (stock) => stock?.total === 0 || stock?.today === 0;
+
+function CouponCard({ coupon, onUse, disabled, ctaLabel }) {
+  const { t, date, number } = useI18n();
+  const { stock } = coupon;
+  return (
+    <Card>
+      <div className="flex items-start gap-3">
+        <div className="flex-1">
+          <Link to={`/cupon/${coupon.id}`} className="text-lg font-semibold text-gray-900 hover:underline">
+            {coupon.title}
+          </Link>
+          <div className="text-gray-700 mt-1">{coupon.benefit}</div>
+          {coupon.schedule && <div className="mt-2 text-xs text-gray-700">🕒 {scheduleSummary(coupon.schedule, t)}</div>}
+          <div className="mt-2 text-xs text-gray-500">{coupon.terms}</div>
+          <div className="mt-2 space-x-2">
+            <Link to={`/comercio/${coupon.merchantId}`} className="hover:underline">
+              <Badge>{coupon.merchant?.name}</Badge>
+            </Link>
+            <Badge>{coupon.localityName}</Badge>
+            {coupon.state === "scheduled" && <Badge>{t("Desde {date}", { date: date(coupon.startsAt) })}</Badge>}
+            {coupon.codeTtlHours && <Badge>{t("Código válido {n} h", { n: number(coupon.codeTtlHours) })}</Badge>}
+            {isSoldOut(stock) ? (
+              <Badge>{t(stock.total === 0 ? "Agotado" : "Agotado por hoy")}</Badge>
+            ) : (
+              <>
+                {stock?.total != null && <Badge>{t("Quedan {n}", { n: number(stock.total) })}</Badge>}
+                {stock?.today != null && <Badge>{t("Hoy quedan {n}", { n: number(stock.today) })}</Badge>}
+              </>
+            )}
+          </div>
+        </div>
+        <div>
+          <Button onClick={onUse} disabled={disabled}>
+            {ctaLabel ?? t("Usar cupón")}
+          </Button>
+        </div>
+      </div>
+    </Card>
+  );
+}
+
+// Loading / error / retry state of the data layer, shown on top of every view
+function DataStatus({ store }) {
+  const { t } = useI18n();
+  const { pending, failed } = store.sync;
+  if (failed.length) {
+    return (
+      <div className="rounded-2xl border border-red-200 bg-red-50 p-3 text-sm text-red-800 flex items-center justify-between gap-3">
+        <div>
+          {t("No se pudo {what}: {error}", { what: t(failed[0].label), error: t(failed[0].message, failed[0].vars) })}
+          {failed.length > 1 && t(" (y {n} más)", { n: failed.length - 1 })}
+        </div>
+        <SecondaryButton onClick={store.retrySync} disabled={pending > 0}>
+          {t("Reintentar")}
+        </SecondaryButton>
+      </div>
+    );
+  }
+  if (pending) return <div className="text-xs text-gray-500">{t("Sincronizando datos…")}</div>;
+  return null;
+}
+
+function CouponStatusControls({ coupon, store }) {
+  const { t } = useI18n();
+  const [msg, setMsg] = useState(null);
+  const move = (status, opts) => {
+    if (status === "archived" && !window.confirm(t('¿Archivar "{title}"? Sus códigos dejarán de canjearse.', { title: coupon.title }))) return;
+    setMsg(store.setCouponStatus(coupon.id, status, opts));
+  };
+
+  return (
+    <div className="flex flex-col items-end gap-1">
+      <div className="flex flex-wrap justify-end gap-1">
+        {Object.entries(COUPON_TRANSITIONS[coupon.status] || {}).map(([status, label]) => (
+          <SecondaryButton key={status} onClick={() => move(status)}>
+            {t(label)}
+          </SecondaryButton>
+        ))}
+        {coupon.status === "active" && (
+          <SecondaryButton onClick={() => move("paused", { blockIssued: true })}>{t("Pausar y bloquear emitidos")}</SecondaryButton>
+        )}
+      </div>
+      {msg && <div className={`text-xs ${msg.ok ? "text-green-700" : "text-red-700"}`}>{t(msg.message, msg.vars)}</div>}
+    </div>
+  );
+}
+
+const percent = (ratio, fmt) => (ratio == null ? "—" : fmt.percent(ratio));
+
+// Minutes -> "45 min" / "3,5 h" / "2 días", numbers and units in the fmt language
+function formatWait(minutes, fmt) {
+  if (minutes == null) return "—";
+  if (minutes < 60) return fmt.t("{n} min", { n: fmt.number(minutes) });
+  if (minutes < 48 * 60) return fmt.t("{n} h", { n: fmt.number(minutes / 60, 1) });
+  return fmt.t("{n} días", { n: fmt.number(minutes / 1440, 1) });
+}
+
+// Plain CSS columns; the title attribute carries the exact value
+function BarChart({ data, height = 96 }) {
+  const max = Math.max(1, ...data.map((d) => d.value));
+  return (
+    <div className="flex items-end gap-px" style={{ height }}>
+      {data.map((d) => (
+        <div key={d.label} className="flex-1 min-w-[2px] bg-gray-100 rounded-t h-full flex items-end" title={`${d.label}: ${d.value}`}>
+          <div className="w-full bg-black rounded-t" style={{ height: `${(d.value / max) * 100}%` }} />
+        </div>
+      ))}
+    </div>
+  );
+}
+
+const RANGE_PRESETS = [
+  ["7 días", 7],
+  ["30 días", 30],
+  ["90 días", 90],
+];
+
+function DateRangeFilter({ range, onChange }) {
+  const { t } = useI18n();
+  const today = dateKey(new Date());
+  return (
+    <div className="flex flex-wrap items-center gap-2 text-sm">
+      <input
+        type="date"
+        className="border rounded-xl px-3 py-2"
+        value={range.from}
+        max={range.to || undefined}
+        onChange={(e) => onChange({ ...range, from: e.target.value })}
+      />
+      {t("a")}
+      <input
+        type="date"
+        className="border rounded-xl px-3 py-2"
+        value={range.to}
+        min={range.from || undefined}
+        onChange={(e) => onChange({ ...range, to: e.target.value })}
+      />
+      {RANGE_PRESETS.map(([label, days]) => (
+        <SecondaryButton key={label} onClick={() => onChange({ from: addDays(today, 1 - days), to: today })}>
+          {t(label)}
+        </SecondaryButton>
+      ))}
+      <SecondaryButton onClick={() => onChange({ from: "", to: "" })}>{t("Todo")}</SecondaryButton>
+    </div>
+  );
+}
+
+// Comparison rows: redemptions, conversion and median wait per locality/category/coupon
+function FunnelTable({ rows }) {
+  const fmt = useI18n();
+  const { t } = fmt;
+  if (!rows.length) return <div className="text-sm text-gray-500">{t("Sin datos en el período")}</div>;
+  return (
+    <table className="w-full text-sm">
+      <thead>
+        <tr className="text-left text-xs text-gray-500">
+          <th className="font-normal"></th>
+          <th className="font-normal text-right">{t("Emitidos")}</th>
+          <th className="font-normal text-right">{t("Canjes")}</th>
+          <th className="font-normal text-right">{t("Conversión")}</th>
+          <th className="font-normal text-right">{t("Mediana")}</th>
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map((r) => (
+          <tr key={r.id}>
+            <td className="py-1">{r.name}</td>
+            <td className="text-right">{r.issued}</td>
+            <td className="text-right">{r.redeemed}</td>
+            <td className="text-right">{percent(r.conversion, fmt)}</td>
+            <td className="text-right">{formatWait(r.medianMinutes, fmt)}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+// merchantId scopes the panel to one merchant (its Métricas tab); without it, the whole region
+function AnalyticsPanel({ store, merchantId = null }) {
+  const fmt = useI18n();
+  const { t } = fmt;
+  const [range, setRange] = useState({ from: addDays(dateKey(new Date()), -29), to: dateKey(new Date()) });
+  const stats = useMemo(() => analyzeRedemptions(store, range, merchantId), [store, range, merchantId]);
+  const couponRows = stats.coupons.map(({ coupon, ...r }) => ({ id: coupon.id, name: coupon.title, ...r }));
+
+  return (
+    <Card>
+      <SectionTitle>{t(merchantId ? "Métricas" : "Métricas de la temporada")}</SectionTitle>
+      <DateRangeFilter range={range} onChange={setRange} />
+      <div className="mt-4 grid grid-cols-2 md:grid-cols-4 gap-3 text-sm">
+        {[
+          ["Canjes", stats.redeemed],
+          ["Códigos emitidos", stats.issued],
+          ["Conversión", percent(stats.conversion, fmt)],
+          ["Mediana emisión → canje", formatWait(stats.medianMinutes, fmt)],
+        ].map(([label, value]) => (
+          <div key={label} className="rounded-xl bg-gray-50 p-3">
+            <div className="text-xs text-gray-500">{t(label)}</div>
+            <div className="text-lg font-semibold text-gray-900">{value}</div>
+          </div>
+        ))}
+      </div>
+      <div className="mt-4">
+        <div className="text-xs text-gray-600 mb-1">{t("Canjes por día")}</div>
+        <BarChart data={stats.byDay.map((d) => ({ label: d.key, value: d.count }))} />
+        {stats.byDay.length > 0 && (
+          <div className="flex justify-between text-[10px] text-gray-400">
+            <span>{stats.byDay[0].key}</span>
+            <span>{stats.byDay[stats.byDay.length - 1].key}</span>
+          </div>
+        )}
+      </div>
+      <div className="mt-4">
+        <div className="text-xs text-gray-600 mb-1">{t("Canjes por hora (hora Argentina)")}</div>
+        <BarChart data={stats.byHour.map((value, h) => ({ label: `${h} h`, value }))} height={64} />
+        <div className="flex justify-between text-[10px] text-gray-400">
+          <span>0 h</span>
+          <span>12 h</span>
+          <span>23 h</span>
+        </div>
+      </div>
+      <div className="mt-4 space-y-4">
+        <div>
+          <div className="text-xs text-gray-600 mb-1">{t("Por cupón")}</div>
+          <FunnelTable rows={couponRows.filter((r) => r.issued || r.redeemed)} />
+        </div>
+        {!merchantId && (
+          <>
+            <div>
+              <div className="text-xs text-gray-600 mb-1">{t("Por localidad")}</div>
+              <FunnelTable rows={stats.localities} />
+            </div>
+            <div>
+              <div className="text-xs text-gray-600 mb-1">{t("Por rubro")}</div>
+              <FunnelTable rows={stats.categories} />
+            </div>
+          </>
+        )}
+      </div>
+    </Card>
+  );
+}
+
+function TouristIdentityCard({ store }) {
+  const { t } = useI18n();
+  const [contact, setContact] = useState(store.tourist.contact || "");
+  const [exported, setExported] = useState(null);
+  const [incoming, setIncoming] = useState("");
+  const [msg, setMsg] = useState(null);
+
+  const importNow = () =>
+    store.importWallet(incoming).then((res) => {
+      setMsg(res);
+      if (res.ok) setIncoming("");
+    });
+
+  return (
+    <Card>
+      <SectionTitle>{t("Mi identidad")}</SectionTitle>
+      <div className="text-xs text-gray-500 mb-2">
+        {t("Turista")} <span className="font-mono">{store.tourist.id.slice(0, 8)}</span>
+        {store.tourist.contact && <> · {store.tourist.contact}</>}
+      </div>
+      <div className="flex gap-2">
+        <input
+          className="border rounded-xl px-3 py-2 flex-1 text-sm"
+          placeholder={t("Email o teléfono (opcional)")}
+          value={contact}
+          onChange={(e) => setContact(e.target.value)}
+        />
+        <SecondaryButton onClick={() => setMsg(store.setTouristContact(contact))}>{t("Guardar")}</SecondaryButton>
+      </div>
+      <details className="mt-3 text-sm">
+        <summary className="cursor-pointer text-gray-700">{t("Pasar mis cupones a otro dispositivo")}</summary>
+        <div className="mt-2 space-y-2">
+          <SecondaryButton onClick={() => setExported(store.exportWallet())}>{t("Exportar billetera")}</SecondaryButton>
+          {exported && (
+            <div className="flex flex-col items-center gap-2">
+              {/* Long wallets don't fit a readable QR: copy the text instead */}
+              {exported.length <= 1200 && <QR value={exported} size={200} includeMargin={true} />}
+              <textarea readOnly className="border rounded-xl px-3 py-2 w-full font-mono text-xs" rows={3} value={exported} />
+              <SecondaryButton onClick={() => navigator.clipboard?.writeText(exported)}>{t("Copiar")}</SecondaryButton>
+            </div>
+          )}
+          <textarea
+            className="border rounded-xl px-3 py-2 w-full font-mono text-xs"
+            rows={3}
+            placeholder={t("Pegá acá la billetera exportada (CTW1…)")}
+            value={incoming}
+            onChange={(e) => setIncoming(e.target.value)}
+          />
+          <Button onClick={importNow} disabled={!incoming.trim()}>
+            {t("Importar billetera")}
+          </Button>
+        </div>
+      </details>
+      {msg && <div className={`mt-2 text-xs ${msg.ok ? "text-green-700" : "text-red-700"}`}>{t(msg.message, msg.vars)}</div>}
+    </Card>
+  );
+}
+
+// Issue-or-reuse flow shared by the catalog and the coupon page
+function useIssuance(store) {
+  const { t } = useI18n();
+  const [issuedView, setIssuedView] = useState(null); // last issued record
+  const [toast, setToast] = useState(null);
+  // The token is attached after issuance, so read the live record
+  const shown = issuedView && (store.issued.find((r) => r.code === issuedView.code) || issuedView);
+
+  const flash = (text) => {
+    setToast(text);
+    setTimeout(() => setToast(null), 1500);
+  };
+
+  const use = (couponId) => {
+    const res = store.issueCoupon(couponId);
+    if (res.ok) setIssuedView(res.record);
+    flash(t(res.ok ? (res.reused ? "Ya tenías un código para este cupón" : "Código generado") : res.message));
+  };
+
+  const copy = async (text) => {
+    try {
+      await navigator.clipboard.writeText(text);
+      flash(t("Código copiado"));
+    } catch {}
+  };
+
+  return { shown, toast, use, copy, show: setIssuedView, hide: () => setIssuedView(null) };
+}
+
+// CTA of a catalog entry for this tourist (Spanish source text, see i18n)
+const couponCta = (c, existing) =>
+  c.state === "scheduled" ? "Próximamente" : existing ? "Ver código" : isSoldOut(c.stock) ? "Agotado" : "Usar cupón";
+
+// Current time, refreshed every intervalMs (for countdowns)
+function useNow(intervalMs) {
+  const [now, setNow] = useState(() => new Date());
+  useEffect(() => {
+    const timer = setInterval(() => setNow(new Date()), intervalMs);
+    return () => clearInterval(timer);
+  }, [intervalMs]);
+  return now;
+}
+
+// Milliseconds -> "5 h 20 min" / "12 min" (rounded up, so it never reads 0 while still valid)
+function formatRemaining(ms, t = translate("es")) {
+  const minutes = Math.max(1, Math.ceil(ms / 60000));
+  const h = Math.floor(minutes / 60);
+  return h ? t("{h} h {m} min", { h, m: minutes % 60 }) : t("{n} min", { n: minutes });
+}
+
+function IssuedCode({ issuance }) {
+  const { t } = useI18n();
+  const { shown, copy, hide } = issuance;
+  const now = useNow(30000);
+  const expired = isCodeExpired(shown, now);
+  return (
+    <div className="flex flex-col items-center text-center">
+      <div className="text-sm text-gray-600 mb-2">{t("Mostrá este QR en caja")}</div>
+      <QR value={shown.token || shown.code} size={shown.token ? 200 : 160} includeMargin={true} />
+      <div className="mt-2 font-mono text-lg tracking-wider">{shown.code}</div>
+      {shown.token && <Badge>{t("QR firmado")}</Badge>}
+      <div className="flex gap-2 mt-2">
+        <SecondaryButton onClick={() => copy(shown.code)}>{t("Copiar código")}</SecondaryButton>
+        <SecondaryButton onClick={hide}>{t("Ocultar")}</SecondaryButton>
+      </div>
+      <div className="text-xs text-gray-500 mt-2">{t("Código válido por única vez")}</div>
+      {shown.expiresAt && (
+        <div className={`text-xs mt-1 ${expired ? "text-red-700" : "text-gray-700"}`}>
+          {expired
+            ? t("Este código venció: generá uno nuevo desde el cupón.")
+            : t("Vence en {time}", { time: formatRemaining(new Date(shown.expiresAt) - now, t) })}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// "Mis cupones": this tourist's codes by group; valid ones reopen their QR or get cancelled
+function WalletCard({ store, issuance }) {
+  const { t, date, lang } = useI18n();
+  const [msg, setMsg] = useState(null);
+  const groups = walletEntries(store, store.sessionUserId);
+  const total = Object.values(groups).reduce((n, g) => n + g.length, 0);
+
+  const cancel = (code) => {
+    if (!window.confirm(t("¿Anular el código {code}? Ya no se va a poder canjear.", { code }))) return;
+    const res = store.cancelIssuance(code);
+    if (res.ok && issuance.shown?.code === code) issuance.hide();
+    setMsg(res);
+  };
+
+  return (
+    <Card>
+      <SectionTitle>{t("Mis cupones")}</SectionTitle>
+      {total === 0 && <div className="text-sm text-gray-500">{t("Todavía no generaste códigos.")}</div>}
+      <div className="space-y-4">
+        {Object.entries(WALLET_GROUPS).map(
+          ([group, label]) =>
+            groups[group].length > 0 && (
+              <div key={group}>
+                <div className="text-xs font-medium text-gray-500 mb-1">
+                  {t(label)} ({groups[group].length})
+                </div>
+                <div className="space-y-2">
+                  {groups[group].map(({ record, coupon, redemption, reason }) => {
+                    const c = coupon && localizeCoupon(coupon, lang);
+                    const m = store.merchants.find((mm) => mm.id === c?.merchantId);
+                    return (
+                      <div key={record.code} className="text-sm">
+                        <div className="flex items-start justify-between gap-2">
+                          <div>
+                            <div className="font-medium">{c?.title ?? record.couponId}</div>
+                            <div className="text-gray-500">
+                              {m?.name && <>{m.name} · </>}
+                              <span className="font-mono">{record.code}</span>
+                            </div>
+                          </div>
+                          {reason && <Badge>{t(reason)}</Badge>}
+                        </div>
+                        <div className="flex items-center justify-between gap-2 text-xs text-gray-400">
+                          {redemption
+                            ? t("Canjeado el {date}", { date: date(redemption.redeemedAt) })
+                            : t("Emitido el {date}", { date: date(record.issuedAt) })}
+                          {group === "valid" && (
+                            <div className="flex gap-2">
+                              <SecondaryButton onClick={() => issuance.show(record)}>{t("Ver QR")}</SecondaryButton>
+                              <SecondaryButton onClick={() => cancel(record.code)}>{t("Anular")}</SecondaryButton>
+                            </div>
+                          )}
+                        </div>
+                      </div>
+                    );
+                  })}
+                </div>
+              </div>
+            )
+        )}
+      </div>
+      {msg && <div className={`mt-3 text-xs ${msg.ok ? "text-green-700" : "text-red-700"}`}>{t(msg.message)}</div>}
+    </Card>
+  );
+}
+
+function TouristView({ store }) {
+  const localities = store.localities.filter(isListed);
+  const categories = store.categories.filter(isListed);
+  const [filters, setFilters] = useCatalogFilters();
+  const issuance = useIssuance(store);
+  const { shown, toast } = issuance;
+  const { t } = useI18n();
+
+  const list = useCatalog(store, filters);
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+      <div className="md:col-span-2 space-y-4">
+        <DataStatus store={store} />
+        <Card>
+          <div className="flex flex-wrap items-center gap-3">
+            <input
+              type="search"
+              className="border rounded-xl px-3 py-2 flex-1 min-w-[12rem]"
+              placeholder={t("Buscar cupón, beneficio o comercio")}
+              value={filters.query}
+              onChange={(e) => setFilters({ query: e.target.value })}
+            />
+            <select
+              className="border rounded-xl px-3 py-2"
+              value={filters.locality}
+              onChange={(e) => setFilters({ locality: e.target.value })}
+            >
+              <option value="">{t("Todas las localidades")}</option>
+              {localities.map((l) => (
+                <option key={l.id} value={l.id}>
+                  {l.name}
+                </option>
+              ))}
+            </select>
+            <select
+              className="border rounded-xl px-3 py-2"
+              value={filters.category}
+              onChange={(e) => setFilters({ category: e.target.value })}
+            >
+              <option value="">{t("Todos los rubros")}</option>
+              {categories.map((c) => (
+                <option key={c.id} value={c.id}>
+                  {c.name}
+                </option>
+              ))}
+            </select>
+            <select className="border rounded-xl px-3 py-2" value={filters.sort} onChange={(e) => setFilters({ sort: e.target.value })}>
+              {Object.entries(CATALOG_SORTS).map(([key, { label }]) => (
+                <option key={key} value={key}>
+                  {t(label)}
+                </option>
+              ))}
+            </select>
+            <div className="text-sm text-gray-500">{t("{n} cupones", { n: list.length })}</div>
+          </div>
+        </Card>
+
+        {list.map((c) => {
+          const existing = store.hasIssuedActive(c.id);
+          return (
+            <CouponCard
+              key={c.id}
+              coupon={c}
+              disabled={c.state !== "active" || (!existing && isSoldOut(c.stock))}
+              ctaLabel={t(couponCta(c, existing))}
+              onUse={() => issuance.use(c.id)}
+            />
+          );
+        })}
+        {list.length === 0 && <Card>{t("No hay cupones vigentes para esta búsqueda.")}</Card>}
+      </div>
+
+      <div className="space-y-4">
+        <Card>
+          <SectionTitle>{t("Mi cupón (emitido)")}</SectionTitle>
+          {!shown ? (
+            <div className="text-sm text-gray-500">
+              {t('Elegí un cupón y presioná "Usar cupón" para generar tu QR. Si ya lo generaste antes, verás el mismo código.')}
+            </div>
+          ) : (
+            <IssuedCode issuance={issuance} />
+          )}
+          {toast && <div className="mt-3 text-xs text-gray-700">{toast}</div>}
+        </Card>
+
+        <TouristIdentityCard store={store} />
+
+        <WalletCard store={store} issuance={issuance} />
+      </div>
+    </div>
+  );
+}
+
+// /cupon/:couponId — shareable detail; "Imprimir afiche" prints a QR pointing back here
+// for shop windows, so a passer-by opens the coupon and gets a code on the phone
+function CouponPage({ store }) {
+  const { couponId } = useParams();
+  const { t, date, lang } = useI18n();
+  const issuance = useIssuance(store);
+  const coupon = catalogList(store, {}, { lang }).find((c) => c.id === couponId);
+  const known = store.coupons.find((c) => c.id === couponId);
+
+  if (!coupon) {
+    return (
+      <Card>
+        <SectionTitle>{t("Cupón no disponible")}</SectionTitle>
+        <div className="text-sm text-gray-600">
+          {t(known ? COUPON_STATES[couponState(known)].message : "Este cupón no existe.")}{" "}
+          <Link to="/turista" className="underline">
+            {t("Ver otros cupones")}
+          </Link>
+        </div>
+      </Card>
+    );
+  }
+
+  const existing = store.hasIssuedActive(coupon.id);
+  const url = `${window.location.origin}/cupon/${coupon.id}`;
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+      <div className="md:col-span-2 space-y-4">
+        <div className="print:hidden">
+          <CouponCard
+            coupon={coupon}
+            disabled={coupon.state !== "active" || (!existing && isSoldOut(coupon.stock))}
+            ctaLabel={t(couponCta(coupon, existing))}
+            onUse={() => issuance.use(coupon.id)}
+          />
+        </div>
+        <Card>
+          <div className="flex flex-col items-center text-center gap-2">
+            <div className="text-2xl font-bold text-gray-900">{coupon.title}</div>
+            <div className="text-lg text-gray-700">{coupon.benefit}</div>
+            <div className="text-sm text-gray-600">
+              {coupon.merchant?.name} · {coupon.localityName}
+            </div>
+            <QR value={url} size={220} includeMargin={true} />
+            <div className="text-sm text-gray-600">{t("Escaneá con la cámara del celular para obtener tu código")}</div>
+            <div className="text-xs text-gray-500">
+              {t("Válido del {from} al {to}", { from: date(coupon.startsAt), to: date(coupon.endsAt) })}
+              {coupon.schedule && <> · {scheduleSummary(coupon.schedule, t)}</>}
+            </div>
+            <div className="text-xs text-gray-500">{coupon.terms}</div>
+            <div className="print:hidden">
+              <SecondaryButton onClick={() => window.print()}>{t("Imprimir afiche")}</SecondaryButton>
+            </div>
+          </div>
+        </Card>
+      </div>
+
+      <div className="space-y-4 print:hidden">
+        <Card>
+          <SectionTitle>{t("Mi cupón (emitido)")}</SectionTitle>
+          {issuance.shown ? (
+            <IssuedCode issuance={issuance} />
+          ) : (
+            <div className="text-sm text-gray-500">
+              {t('Presioná "{cta}" para ver tu QR.', { cta: t(couponCta(coupon, existing)) })}
+            </div>
+          )}
+          {issuance.toast && <div className="mt-3 text-xs text-gray-700">{issuance.toast}</div>}
+        </Card>
+        <Card>
+          <Link to={`/comercio/${coupon.merchantId}`} className="text-sm underline">
+            {t("Más cupones de {name}", { name: coupon.merchant?.name })}
+          </Link>
+        </Card>
+      </div>
+    </div>
+  );
+}
+
+// /comercio/:merchantId — a merchant's public page with its coupons
+function MerchantPage({ store }) {
+  const { merchantId } = useParams();
+  const { t, lang } = useI18n();
+  const issuance = useIssuance(store);
+  const merchant = store.merchants.find((m) => m.id === merchantId);
+  const list = catalogList(store, {}, { lang }).filter((c) => c.merchantId === merchantId);
+
+  if (!isListed(merchant)) {
+    return (
+      <Card>
+        <SectionTitle>{t("Comercio no disponible")}</SectionTitle>
+        <Link to="/turista" className="text-sm underline">
+          {t("Ver todos los cupones")}
+        </Link>
+      </Card>
+    );
+  }
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+      <div className="md:col-span-2 space-y-4">
+        <Card>
+          <SectionTitle>{merchant.name}</SectionTitle>
+          <div className="text-sm text-gray-600">
+            {nameOf(store.localities, merchant.locality)} · {nameOf(store.categories, merchant.category)}
+          </div>
+        </Card>
+        {list.map((c) => {
+          const existing = store.hasIssuedActive(c.id);
+          return (
+            <CouponCard
+              key={c.id}
+              coupon={c}
+              disabled={c.state !== "active" || (!existing && isSoldOut(c.stock))}
+              ctaLabel={t(couponCta(c, existing))}
+              onUse={() => issuance.use(c.id)}
+            />
+          );
+        })}
+        {list.length === 0 && <Card>{t("Este comercio no tiene cupones vigentes.")}</Card>}
+      </div>
+      <div className="space-y-4">
+        <Card>
+          <SectionTitle>{t("Mi cupón (emitido)")}</SectionTitle>
+          {issuance.shown ? (
+            <IssuedCode issuance={issuance} />
+          ) : (
+            <div className="text-sm text-gray-500">{t("Elegí un cupón para generar tu QR.")}</div>
+          )}
+          {issuance.toast && <div className="mt-3 text-xs text-gray-700">{issuance.toast}</div>}
+        </Card>
+      </div>
+    </div>
+  );
+}
+
+// === QR Scanner ================================================================
+// The tourist's QR holds a signed CT1. token (or a plain code, for codes issued without
+// a signature); the scanner passes the raw text to onScan and MerchantView's handleScan
+// tells them apart. Frames (camera or still image) are drawn on a canvas and decoded with jsQR. getStream is injectable so a demo or test can feed a
+// mocked MediaStream (e.g. canvas.captureStream()) instead of the real camera.
+const defaultGetStream = () =>
+  navigator.mediaDevices.getUserMedia({ video: { facingMode: "environment" }, audio: false });
+
+const hasCamera = () => typeof navigator !== "undefined" && !!navigator.mediaDevices?.getUserMedia;
+
+function decodeQR(source, width, height, canvas) {
+  if (!width || !height) return null;
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext("2d", { willReadFrequently: true });
+  ctx.drawImage(source, 0, 0, width, height);
+  const { data } = ctx.getImageData(0, 0, width, height);
+  return jsQR(data, width, height)?.data ?? null;
+}
+
+// Scanned text -> redeemable code, or null when the QR isn't one of ours
+function parseScannedCode(raw) {
+  const code = String(raw ?? "").trim().toUpperCase();
+  return CODE_FORMAT.test(code) ? code : null;
+}
+
+function QRScanner({ onScan, getStream = defaultGetStream }) {
+  const { t } = useI18n();
+  const videoRef = useRef(null);
+  const canvasRef = useRef(null);
+  const onScanRef = useRef(onScan);
+  const [active, setActive] = useState(false);
+  const [error, setError] = useState(
+    hasCamera() || getStream !== defaultGetStream ? null : "Cámara no disponible: ingresá el código manualmente."
+  );
+
+  useEffect(() => {
+    onScanRef.current = onScan;
+  });
+
+  useEffect(() => {
+    if (!active) return;
+    let stream = null;
+    let frame = null;
+    let cancelled = false;
+    let last = { value: null, at: 0 };
+
+    const tick = () => {
+      const video = videoRef.current;
+      if (cancelled || !video) return;
+      if (video.readyState >= 2) {
+        const value = decodeQR(video, video.videoWidth, video.videoHeight, canvasRef.current);
+        // The same QR stays in frame for a while: report it once every few seconds
+        if (value && (value !== last.value || Date.now() - last.at > 3000)) {
+          last = { value, at: Date.now() };
+          onScanRef.current(value);
+        }
+      }
+      frame = requestAnimationFrame(tick);
+    };
+
+    getStream()
+      .then((s) => {
+        stream = s;
+        if (cancelled) return s.getTracks().forEach((t) => t.stop());
+        videoRef.current.srcObject = s;
+        return videoRef.current.play().then(tick);
+      })
+      .catch(() => {
+        if (cancelled) return;
+        setError("No pudimos acceder a la cámara: ingresá el código manualmente.");
+        setActive(false);
+      });
+
+    return () => {
+      cancelled = true;
+      if (frame) cancelAnimationFrame(frame);
+      stream?.getTracks().forEach((t) => t.stop());
+    };
+  }, [active, getStream]);
+
+  const scanImage = async (file) => {
+    if (!file) return;
+    try {
+      const bitmap = await createImageBitmap(file);
+      const value = decodeQR(bitmap, bitmap.width, bitmap.height, canvasRef.current);
+      if (value) onScanRef.current(value);
+      else setError("No se encontró un QR en la imagen.");
+    } catch {
+      setError("No se pudo leer la imagen.");
+    }
+  };
+
+  return (
+    <div className="space-y-2">
+      <div className="flex flex-wrap gap-2">
+        {(hasCamera() || getStream !== defaultGetStream) && (
+          <SecondaryButton
+            onClick={() => {
+              setError(null);
+              setActive((a) => !a);
+            }}
+          >
+            {t(active ? "Detener cámara" : "Escanear con cámara")}
+          </SecondaryButton>
+        )}
+        <label className="px-3 py-2 rounded-xl shadow-sm border text-sm font-medium bg-white text-gray-900 border-gray-300 hover:bg-gray-50 cursor-pointer">
+          {t("Leer desde foto")}
+          <input
+            type="file"
+            accept="image/*"
+            className="hidden"
+            onChange={(e) => {
+              setError(null);
+              scanImage(e.target.files?.[0]);
+              e.target.value = "";
+            }}
+          />
+        </label>
+      </div>
+      {active && <video ref={videoRef} className="w-full max-w-sm rounded-xl bg-black" muted playsInline />}
+      <canvas ref={canvasRef} className="hidden" />
+      {error && <div className="text-xs text-gray-600">{t(error)}</div>}
+    </div>
+  );
+}
+
+// Till tabs and their routes (/comercio/canjear, ...)
+const MERCHANT_TABS = { redeem: "canjear", coupons: "cupones", metrics: "metricas" };
+
+// Merchant PIN or admin password prompt, shown in place of a guarded view
+function LoginCard({ store, access, role }) {
+  const { t } = useI18n();
+  const merchants = store.merchants.filter(isListed);
+  const [merchantId, setMerchantId] = useState(merchants[0]?.id || "");
+  const [secret, setSecret] = useState("");
+  const [msg, setMsg] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    const res = await access.login(role, merchantId, secret);
+    setBusy(false);
+    setSecret("");
+    if (!res.ok) setMsg(res);
+  };
+
+  return (
+    <div className="max-w-md mx-auto">
+      <Card>
+        <SectionTitle>{t(role === "admin" ? "Ingreso de administración" : "Ingreso del comercio")}</SectionTitle>
+        {access.expired && <div className="mb-3 text-xs text-amber-800">{t("Tu sesión terminó: volvé a ingresar.")}</div>}
+        <form className="space-y-3" onSubmit={submit}>
+          {role === "merchant" && (
+            <select className="border rounded-xl px-3 py-2 w-full" value={merchantId} onChange={(e) => setMerchantId(e.target.value)}>
+              {merchants.map((m) => (
+                <option key={m.id} value={m.id}>
+                  {m.name}
+                </option>
+              ))}
+            </select>
+          )}
+          <input
+            type="password"
+            inputMode={role === "merchant" ? "numeric" : undefined}
+            autoComplete="current-password"
+            className="border rounded-xl px-3 py-2 w-full"
+            placeholder={t(role === "admin" ? "Contraseña" : "PIN")}
+            value={secret}
+            onChange={(e) => setSecret(e.target.value)}
+          />
+          {msg && <div className="text-xs text-red-700">{t(msg.message, msg.vars)}</div>}
+          <Button type="submit" disabled={busy || !secret}>
+            {t("Ingresar")}
+          </Button>
+        </form>
+      </Card>
+    </div>
+  );
+}
+
+// Renders children only for a session allowed in `role`'s views
+function RequireRole({ store, access, role, children }) {
+  return canAccess(access.session, role) ? children : <LoginCard store={store} access={access} role={role} />;
+}
+
+const EMPTY_VOID_FORM = { by: "", reason: "", restore: true };
+
+// Inline form under a redemption of "Últimos canjes"
+function VoidRedemptionForm({ store, access, redemption, merchantId, onDone }) {
+  const { t } = useI18n();
+  const [form, setForm] = useState(EMPTY_VOID_FORM);
+  const [msg, setMsg] = useState(null);
+  const set = (field, value) => setForm((prev) => ({ ...prev, [field]: value }));
+
+  const submit = (e) => {
+    e.preventDefault();
+    store.voidRedemption(redemption.code, merchantId, form, access.session).then((res) => (res.ok ? onDone(res) : setMsg(res)));
+  };
+
+  return (
+    <form className="mt-2 space-y-2 rounded-xl bg-gray-50 p-3" onSubmit={submit}>
+      <input
+        className="border rounded-xl px-3 py-2 w-full text-sm"
+        placeholder={t("Quién anula (nombre del cajero/a)")}
+        value={form.by}
+        onChange={(e) => set("by", e.target.value)}
+      />
+      <input
+        className="border rounded-xl px-3 py-2 w-full text-sm"
+        placeholder={t("Motivo (ej. se canjeó el código equivocado)")}
+        value={form.reason}
+        onChange={(e) => set("reason", e.target.value)}
+      />
+      <label className="flex items-center gap-2 text-xs text-gray-700">
+        <input type="checkbox" checked={form.restore} onChange={(e) => set("restore", e.target.checked)} />
+        {t("El turista puede volver a usar el código")}
+      </label>
+      {msg && <div className="text-xs text-red-700">{t(msg.message, msg.vars)}</div>}
+      <div className="flex justify-end gap-2">
+        <SecondaryButton type="button" onClick={() => onDone(null)}>
+          {t("Cancelar")}
+        </SecondaryButton>
+        <Button type="submit">{t("Anular canje")}</Button>
+      </div>
+    </form>
+  );
+}
+
+// A merchant session is bound to its merchantId; admins pick any merchant
+function MerchantView({ store, access, tab = "redeem" }) {
+  const { t, date, time } = useI18n();
+  const [voiding, setVoiding] = useState(null); // code with the void form open
+  const [voidMsg, setVoidMsg] = useState(null);
+  const navigate = useNavigate();
+  const setTab = (next) => navigate(`/comercio/${MERCHANT_TABS[next]}`);
+  const bound = access.session?.role === "merchant" ? access.session.merchantId : null;
+  const [picked, setMerchantId] = useState(store.merchants.find(isListed)?.id || "");
+  const merchantId = bound ?? picked;
+  const [code, setCode] = useState("");
+  const [msg, setMsg] = useState(null);
+  const now = useNow(15000);
+  const lock = store.redeemLockout(merchantId, now);
+
+  const merchant = store.merchants.find((m) => m.id === merchantId);
+  const myCoupons = store.coupons.filter((c) => c.merchantId === merchantId).map((c) => ({ ...c, merchant }));
+  const myCouponIds = new Set(myCoupons.map((c) => c.id));
+  const myRedemptions = store.redemptions.filter((r) => myCouponIds.has(r.couponId));
+  const myQueued = myRedemptions.filter((r) => r.syncStatus === "pending");
+  const myConflicts = myRedemptions.filter((r) => r.syncStatus === "conflict");
+  const myVoids = store.voids.filter((v) => v.merchantId === merchantId);
+
+  const switchMerchant = (id) => {
+    setMerchantId(id);
+    setCode("");
+    setMsg(null);
+    setVoiding(null);
+    setVoidMsg(null);
+  };
+
+  const voidDone = (res) => {
+    setVoiding(null);
+    setVoidMsg(res);
+  };
+
+  const report = (res) => {
+    setMsg(res);
+    navigator.vibrate?.(res.ok ? 80 : [60, 40, 60]);
+    return res;
+  };
+
+  const redeem = (value) => store.redeemCode(value, merchantId).then(report);
+
+  const handleRedeem = () => {
+    if (!code) return;
+    redeem(code.trim().toUpperCase()).then((res) => res.ok && setCode(""));
+  };
+
+  // Scanned codes go straight to redemption; on failure leave the code in the field
+  const handleScan = (raw) => {
+    if (String(raw).startsWith(TOKEN_PREFIX)) {
+      store.redeemToken(raw.trim(), merchantId).then(report);
+      return;
+    }
+    const scanned = parseScannedCode(raw);
+    if (!scanned) return setMsg({ ok: false, message: "QR no reconocido" });
+    redeem(scanned).then((res) => setCode(res.ok ? "" : scanned));
+  };
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+      <div className="md:col-span-2 space-y-4">
+        <DataStatus store={store} />
+        <Card>
+          <div className="flex flex-wrap items-center gap-2">
+            {bound ? (
+              <div className="px-1 font-medium">{merchant?.name}</div>
+            ) : (
+              <select className="border rounded-xl px-3 py-2" value={merchantId} onChange={(e) => switchMerchant(e.target.value)}>
+                {store.merchants
+                  .filter((m) => isListed(m) || m.id === merchantId)
+                  .map((m) => (
+                    <option key={m.id} value={m.id}>
+                      {m.name}
+                      {isListed(m) ? "" : t(" (inactivo)")}
+                    </option>
+                  ))}
+              </select>
+            )}
+            <SecondaryButton className={tab === "redeem" ? "ring-2 ring-black" : ""} onClick={() => setTab("redeem")}>
+              {t("Canjear")}
+            </SecondaryButton>
+            <SecondaryButton className={tab === "coupons" ? "ring-2 ring-black" : ""} onClick={() => setTab("coupons")}>
+              {t("Mis cupones")}
+            </SecondaryButton>
+            <SecondaryButton className={tab === "metrics" ? "ring-2 ring-black" : ""} onClick={() => setTab("metrics")}>
+              {t("Métricas")}
+            </SecondaryButton>
+          </div>
+        </Card>
+
+        {tab === "redeem" && (
+          <Card>
+            <SectionTitle>{t("Validar canje")}</SectionTitle>
+            <p className="text-sm text-gray-600 mb-3">
+              {t("Escaneá el QR del cliente o ingresá el código manualmente (incluye letra de control).")}
+            </p>
+            <div className="flex gap-2">
+              <input
+                className="border rounded-xl px-3 py-2 flex-1 font-mono"
+                placeholder={t("CÓDIGO (ej. L1A2B3C4DZ)")}
+                value={code}
+                onChange={(e) => setCode(e.target.value.toUpperCase())}
+              />
+              <Button onClick={handleRedeem} disabled={!!lock}>
+                {t("Canjear")}
+              </Button>
+            </div>
+            {lock && (
+              <div className="mt-2 rounded-xl px-3 py-2 text-sm bg-amber-50 text-amber-800">
+                {t(lockoutRefusal(lock, now).message, lockoutRefusal(lock, now).vars)}. {t("Los QR firmados se siguen validando.")}
+              </div>
+            )}
+            <div className="mt-3">
+              <QRScanner onScan={handleScan} />
+            </div>
+            <details className="mt-3 text-xs text-gray-600">
+              <summary className="cursor-pointer">
+                {t(store.verifyKey ? "Clave de verificación (cargada en este equipo)" : "Clave de verificación (la del emisor)")}
+              </summary>
+              <p className="mt-2">
+                {t("Los QR firmados se validan sin conexión con la clave pública que publica la oficina de turismo (Admin).")}
+              </p>
+              <input
+                className="mt-2 border rounded-xl px-3 py-2 w-full font-mono"
+                placeholder={store.issuerKey || t("Pegá la clave pública")}
+                value={store.verifyKey || ""}
+                onChange={(e) => store.setVerifyKey(e.target.value.trim())}
+              />
+            </details>
+            {msg && (
+              <div
+                className={`mt-3 rounded-xl px-3 py-2 text-sm font-medium ${
+                  !msg.ok
+                    ? "bg-red-50 text-red-800"
+                    : msg.redemption?.syncStatus === "pending"
+                      ? "bg-amber-50 text-amber-800"
+                      : "bg-green-50 text-green-800"
+                }`}
+              >
+                {msg.ok ? "✔" : "✖"} {t(msg.message, msg.vars)}
+              </div>
+            )}
+          </Card>
+        )}
+
+        {tab === "coupons" && (
+          <div className="space-y-3">
+            {myCoupons.map((c) => (
+              <Card key={c.id}>
+                <div className="flex items-start justify-between">
+                  <div>
+                    <div className="font-semibold">{c.title}</div>
+                    <div className="text-sm text-gray-600">{c.benefit}</div>
+                    <div className="text-xs text-gray-500 mt-1">{c.terms}</div>
+                    <div className="mt-2">
+                      <Badge>{t(COUPON_STATES[couponState(c)].label)}</Badge>
+                      {c.status === "paused" && c.pauseBlocksIssued && <Badge>{t("códigos emitidos bloqueados")}</Badge>}
+                    </div>
+                  </div>
+                  <CouponStatusControls coupon={c} store={store} />
+                </div>
+              </Card>
+            ))}
+            {myCoupons.length === 0 && <Card>{t("No tenés cupones aún.")}</Card>}
+          </div>
+        )}
+
+        {tab === "metrics" && (
+          <>
+            <div className="text-sm text-gray-600">
+              {t("{name}: {n} canjes en total", { name: merchant?.name, n: store.metrics.byMerchant[merchantId] || 0 })}
+            </div>
+            <AnalyticsPanel store={store} merchantId={merchantId} />
+          </>
+        )}
+      </div>
+
+      <div className="space-y-4">
+        {(myQueued.length > 0 || myConflicts.length > 0) && (
+          <Card>
+            <SectionTitle>{t("Sincronización")}</SectionTitle>
+            {myQueued.length > 0 && (
+              <div className="flex items-center justify-between gap-2 text-sm">
+                <div>{t("{n} canje(s) pendiente(s) de sincronizar", { n: myQueued.length })}</div>
+                <SecondaryButton onClick={store.replayQueue}>{t("Sincronizar ahora")}</SecondaryButton>
+              </div>
+            )}
+            {myConflicts.map((r) => {
+              const other = store.merchants.find((m) => m.id === r.conflictWith?.merchantId);
+              const vars = { code: r.code, name: other?.name, time: time(r.conflictWith?.redeemedAt) };
+              return (
+                <div key={r.code} className="mt-3 rounded-xl bg-red-50 p-3 text-sm text-red-800">
+                  <div>
+                    {!r.conflictWith
+                      ? t("Conflicto: {code} ya estaba canjeado.", vars)
+                      : other
+                        ? t("Conflicto: {code} ya estaba canjeado en {name} a las {time}.", vars)
+                        : t("Conflicto: {code} ya estaba canjeado en otra caja a las {time}.", vars)}{" "}
+                    {t("Tu canje sin conexión fue a las {time}.", { time: time(r.redeemedAt) })}
+                  </div>
+                  <SecondaryButton className="mt-2" onClick={() => store.resolveConflict(r.code)}>
+                    {t("Entendido")}
+                  </SecondaryButton>
+                </div>
+              );
+            })}
+          </Card>
+        )}
+
+        <Card>
+          <SectionTitle>{t("Últimos canjes")}</SectionTitle>
+          <div className="space-y-2">
+            {myRedemptions.slice(0, 6).map((r) => {
+              const c = myCoupons.find((cc) => cc.id === r.couponId);
+              return (
+                <div key={r.code} className="text-sm">
+                  <div className="flex items-center justify-between">
+                    <div>
+                      <div className={`font-medium ${r.voidedAt ? "line-through text-gray-400" : ""}`}>{c?.title}</div>
+                      <div className="text-gray-500">
+                        <span className="font-mono">{r.code}</span>
+                      </div>
+                      {r.syncStatus === "pending" && <Badge>{t("pendiente de sincronizar")}</Badge>}
+                      {r.syncStatus === "conflict" && <Badge>{t("conflicto")}</Badge>}
+                      {r.voidedAt && <Badge>{t(r.restored ? "anulado · código restaurado" : "anulado")}</Badge>}
+                    </div>
+                    <div className="flex items-center gap-2">
+                      <div className="text-xs text-gray-400">{time(r.redeemedAt)}</div>
+                      {!voidRefusal(r, merchantId) && voiding !== r.code && (
+                        <SecondaryButton onClick={() => setVoiding(r.code)}>{t("Anular")}</SecondaryButton>
+                      )}
+                    </div>
+                  </div>
+                  {voiding === r.code && (
+                    <VoidRedemptionForm store={store} access={access} redemption={r} merchantId={merchantId} onDone={voidDone} />
+                  )}
+                </div>
+              );
+            })}
+            {myRedemptions.length === 0 && <div className="text-sm text-gray-500">{t("Sin canjes registrados.")}</div>}
+          </div>
+          {voidMsg && <div className="mt-3 text-xs text-green-700">{t(voidMsg.message, voidMsg.vars)}</div>}
+        </Card>
+
+        {myVoids.length > 0 && (
+          <Card>
+            <SectionTitle>{t("Canjes anulados")}</SectionTitle>
+            <div className="space-y-2">
+              {myVoids.slice(0, 6).map((v) => (
+                <div key={v.id} className="text-sm">
+                  <div>
+                    <span className="font-mono">{v.code}</span> · {v.voidedBy}
+                    {v.sessionRole === "admin" && <span className="text-gray-500"> {t("(sesión de admin)")}</span>}
+                  </div>
+                  <div className="text-xs text-gray-500">
+                    {date(v.voidedAt)} {time(v.voidedAt)} · {v.reason}
+                    {v.restored ? ` · ${t("código restaurado")}` : ""}
+                  </div>
+                </div>
+              ))}
+            </div>
+          </Card>
+        )}
+      </div>
+    </div>
+  );
+}
+
+const EMPTY_SCHEDULE_FORM = { weekdays: [], from: "", to: "", blackout: "" };
+
+// Schedule form fields -> coupon.schedule (null when no rule was set)
+function toSchedule({ weekdays, from, to, blackout }) {
+  const blackoutDates = blackout.split(/[\s,]+/).filter((d) => /^\d{4}-\d{2}-\d{2}$/.test(d));
+  const hours = from && to ? [{ from, to }] : [];
+  if (!weekdays.length && !hours.length && !blackoutDates.length) return null;
+  return { weekdays: [...weekdays].sort((a, b) => a - b), hours, blackoutDates };
+}
+
+const EMPTY_MERCHANT_FORM = { id: "", name: "", locality: "", category: "" };
+
+// Admin: create, edit and (de)activate merchants
+function MerchantDirectory({ store }) {
+  const { t } = useI18n();
+  const [form, setForm] = useState(EMPTY_MERCHANT_FORM);
+  const [msg, setMsg] = useState(null);
+  const [pinFor, setPinFor] = useState(null); // merchant id with the PIN form open
+  const [pin, setPin] = useState("");
+  const hasPin = (id) => store.credentials.some((c) => c.id === credentialId("merchant", id));
+
+  const resetPin = async (e) => {
+    e.preventDefault();
+    const res = await store.setCredential("merchant", pinFor, pin);
+    setMsg(res);
+    if (!res.ok) return;
+    setPinFor(null);
+    setPin("");
+  };
+  // Entries a merchant may point to: listed ones, plus the one it already has
+  const options = (kind, field) => store[kind].filter((x) => isListed(x) || x.id === form[field]);
+
+  const submit = (e) => {
+    e.preventDefault();
+    const res = store.saveMerchant({ ...store.merchants.find((m) => m.id === form.id), ...form, id: form.id || undefined });
+    setMsg(res);
+    if (res.ok) setForm(EMPTY_MERCHANT_FORM);
+  };
+
+  const edit = (m) => {
+    setForm({ id: m.id, name: m.name, locality: m.locality || "", category: m.category || "" });
+    setMsg(null);
+  };
+
+  return (
+    <Card>
+      <SectionTitle>{t("Comercios")}</SectionTitle>
+      <form className="flex flex-wrap gap-2" onSubmit={submit}>
+        <input
+          className="border rounded-xl px-3 py-2 flex-1"
+          placeholder={t("Nombre del comercio")}
+          value={form.name}
+          onChange={(e) => setForm((prev) => ({ ...prev, name: e.target.value }))}
+        />
+        {[
+          ["localities", "locality", "Localidad"],
+          ["categories", "category", "Rubro"],
+        ].map(([kind, field, label]) => (
+          <select
+            key={kind}
+            className="border rounded-xl px-3 py-2"
+            value={form[field]}
+            onChange={(e) => setForm((prev) => ({ ...prev, [field]: e.target.value }))}
+          >
+            <option value="">{t(label)}…</option>
+            {options(kind, field).map((x) => (
+              <option key={x.id} value={x.id}>
+                {x.name}
+              </option>
+            ))}
+          </select>
+        ))}
+        {form.id && (
+          <SecondaryButton type="button" onClick={() => setForm(EMPTY_MERCHANT_FORM)}>
+            {t("Cancelar")}
+          </SecondaryButton>
+        )}
+        <Button type="submit">{t(form.id ? "Guardar cambios" : "Agregar comercio")}</Button>
+      </form>
+      {msg && <div className={`mt-2 text-xs ${msg.ok ? "text-green-700" : "text-red-700"}`}>{t(msg.message, msg.vars)}</div>}
+      <div className="mt-3 space-y-2">
+        {store.merchants.map((m) => (
+          <div key={m.id} className="text-sm">
+            <div className="flex items-center justify-between gap-2">
+              <div>
+                <div className="font-medium">{m.name}</div>
+                <div className="text-gray-500">
+                  {nameOf(store.localities, m.locality)} · {nameOf(store.categories, m.category)}
+                </div>
+                {!isListed(m) && <Badge>{t("Inactivo")}</Badge>}
+                {!hasPin(m.id) && <Badge>{t("Sin PIN")}</Badge>}
+              </div>
+              <div className="flex gap-2">
+                <SecondaryButton onClick={() => edit(m)}>{t("Editar")}</SecondaryButton>
+                <SecondaryButton onClick={() => setMsg(store.setMerchantActive(m.id, !isListed(m)))}>
+                  {t(isListed(m) ? "Desactivar" : "Reactivar")}
+                </SecondaryButton>
+                <SecondaryButton
+                  onClick={() => {
+                    setPinFor(pinFor === m.id ? null : m.id);
+                    setPin("");
+                  }}
+                >
+                  {t(hasPin(m.id) ? "Cambiar PIN" : "Asignar PIN")}
+                </SecondaryButton>
+              </div>
+            </div>
+            {pinFor === m.id && (
+              <form className="mt-2 flex gap-2" onSubmit={resetPin}>
+                <input
+                  type="password"
+                  inputMode="numeric"
+                  autoComplete="new-password"
+                  className="border rounded-xl px-3 py-2 flex-1"
+                  placeholder={t("Nuevo PIN (4 a 8 dígitos)")}
+                  value={pin}
+                  onChange={(e) => setPin(e.target.value)}
+                />
+                <Button type="submit">{t("Guardar PIN")}</Button>
+              </form>
+            )}
+          </div>
+        ))}
+      </div>
+    </Card>
+  );
+}
+
+// Admin: localities or categories; referenced entries can't be deactivated or deleted
+function DirectoryEntries({ store, kind, title }) {
+  const { t } = useI18n();
+  const [name, setName] = useState("");
+  const [editing, setEditing] = useState(null); // id being renamed
+  const [msg, setMsg] = useState(null);
+  const entries = store[kind].filter((x) => !x.deletedAt);
+
+  const submit = (e) => {
+    e.preventDefault();
+    const current = entries.find((x) => x.id === editing);
+    const res = store.saveEntry(kind, { ...current, name });
+    setMsg(res);
+    if (!res.ok) return;
+    setName("");
+    setEditing(null);
+  };
+
+  return (
+    <Card>
+      <SectionTitle>{t(title)}</SectionTitle>
+      <form className="flex gap-2" onSubmit={submit}>
+        <input
+          className="border rounded-xl px-3 py-2 flex-1 text-sm"
+          placeholder={t("Nombre")}
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+        />
+        {editing && (
+          <SecondaryButton
+            type="button"
+            onClick={() => {
+              setEditing(null);
+              setName("");
+            }}
+          >
+            {t("Cancelar")}
+          </SecondaryButton>
+        )}
+        <Button type="submit">{t(editing ? "Renombrar" : "Agregar")}</Button>
+      </form>
+      {msg && <div className={`mt-2 text-xs ${msg.ok ? "text-green-700" : "text-red-700"}`}>{t(msg.message, msg.vars)}</div>}
+      <div className="mt-3 space-y-2">
+        {entries.map((x) => (
+          <div key={x.id} className="flex items-center justify-between gap-2 text-sm">
+            <div>
+              {x.name} {!isListed(x) && <Badge>{t(kind === "localities" ? "Inactiva" : "Inactivo")}</Badge>}
+            </div>
+            <div className="flex gap-1">
+              <SecondaryButton
+                onClick={() => {
+                  setEditing(x.id);
+                  setName(x.name);
+                  setMsg(null);
+                }}
+              >
+                {t("Editar")}
+              </SecondaryButton>
+              <SecondaryButton onClick={() => setMsg(store.setEntryActive(kind, x.id, !isListed(x)))}>
+                {t(isListed(x) ? "Desactivar" : "Reactivar")}
+              </SecondaryButton>
+              <SecondaryButton onClick={() => setMsg(store.deleteEntry(kind, x.id))}>{t("Eliminar")}</SecondaryButton>
+            </div>
+          </div>
+        ))}
+      </div>
+    </Card>
+  );
+}
+
+const EMPTY_LIMITS_FORM = { maxRedemptions: "", maxPerDay: "", maxPerUser: "", codeTtlHours: "" };
+
+// coupon.schedule -> schedule form fields (the form edits a single time range)
+const fromSchedule = (schedule) => ({
+  weekdays: schedule?.weekdays || [],
+  from: schedule?.hours?.[0]?.from || "",
+  to: schedule?.hours?.[0]?.to || "",
+  blackout: (schedule?.blackoutDates || []).join(", "),
+});
+
+// Languages and fields the admin can translate; Spanish is the coupon itself
+const TRANSLATED_LANGS = Object.keys(LANGUAGES).filter((l) => l !== "es");
+const TRANSLATED_FIELDS = [
+  ["title", "Título"],
+  ["benefit", "Beneficio"],
+  ["terms", "Términos"],
+];
+
+const translationsToForm = (i18n) =>
+  Object.fromEntries(
+    TRANSLATED_LANGS.map((l) => [l, Object.fromEntries(TRANSLATED_FIELDS.map(([f]) => [f, i18n?.[l]?.[f] || ""]))])
+  );
+
+// Blank fields fall back to Spanish, so only filled ones are stored
+function formToTranslations(form) {
+  const out = {};
+  for (const l of TRANSLATED_LANGS) {
+    const filled = Object.entries(form[l]).filter(([, v]) => v.trim());
+    if (filled.length) out[l] = Object.fromEntries(filled.map(([f, v]) => [f, v.trim()]));
+  }
+  return out;
+}
+
+const emptyCouponForm = (merchantId) => ({
+  merchantId,
+  title: "",
+  benefit: "",
+  terms: "",
+  startsAt: dateKey(new Date()),
+  endsAt: "",
+  limits: EMPTY_LIMITS_FORM,
+  schedule: EMPTY_SCHEDULE_FORM,
+  i18n: translationsToForm(null),
+});
+
+const couponToForm = (c) => ({
+  merchantId: c.merchantId,
+  title: c.title,
+  benefit: c.benefit || "",
+  terms: c.terms || "",
+  startsAt: c.startsAt || "",
+  endsAt: c.endsAt || "",
+  limits: Object.fromEntries(Object.keys(EMPTY_LIMITS_FORM).map((k) => [k, c[k] == null ? "" : String(c[k])])),
+  schedule: fromSchedule(c.schedule),
+  i18n: translationsToForm(c.i18n),
+});
+
+// Empty limit fields mean "no cap"
+const toLimit = (v) => (v === "" ? null : Math.max(0, parseInt(v, 10) || 0));
+
+const formToCoupon = ({ limits, schedule, i18n, ...fields }) => ({
+  ...fields,
+  title: fields.title.trim(),
+  benefit: fields.benefit.trim(),
+  maxRedemptions: toLimit(limits.maxRedemptions),
+  maxPerDay: toLimit(limits.maxPerDay),
+  maxPerUser: toLimit(limits.maxPerUser),
+  codeTtlHours: toLimit(limits.codeTtlHours),
+  schedule: toSchedule(schedule),
+  i18n: formToTranslations(i18n),
+});
+
+// Admin: create a coupon, or edit `coupon` when given
+function CouponEditor({ store, coupon, onDone }) {
+  const { t } = useI18n();
+  const [form, setForm] = useState(() => (coupon ? couponToForm(coupon) : emptyCouponForm(store.merchants.find(isListed)?.id || "")));
+  const [msg, setMsg] = useState(null);
+  const set = (field, value) => setForm((prev) => ({ ...prev, [field]: value }));
+  const setSchedule = (patch) => setForm((prev) => ({ ...prev, schedule: { ...prev.schedule, ...patch } }));
+  const setTranslation = (l, field, value) =>
+    setForm((prev) => ({ ...prev, i18n: { ...prev.i18n, [l]: { ...prev.i18n[l], [field]: value } } }));
+  const toggleWeekday = (d) => {
+    const { weekdays } = form.schedule;
+    setSchedule({ weekdays: weekdays.includes(d) ? weekdays.filter((x) => x !== d) : [...weekdays, d] });
+  };
+
+  const submit = (e, status = "active") => {
+    e.preventDefault();
+    const res = coupon ? store.updateCoupon(coupon.id, formToCoupon(form)) : store.createCoupon(formToCoupon(form), status);
+    setMsg(res);
+    if (!res.ok) return;
+    if (coupon) return onDone?.(res);
+    setForm(emptyCouponForm(form.merchantId));
+  };
+
+  return (
+    <Card>
+      <SectionTitle>{coupon ? t("Editar cupón: {title}", { title: coupon.title }) : t("Nuevo cupón")}</SectionTitle>
+      <form className="space-y-3" onSubmit={submit}>
+        <div className="flex gap-3">
+          <select className="border rounded-xl px-3 py-2" value={form.merchantId} onChange={(e) => set("merchantId", e.target.value)}>
+            {store.merchants
+              .filter((m) => isListed(m) || m.id === form.merchantId)
+              .map((m) => (
+                <option key={m.id} value={m.id}>
+                  {m.name} — {nameOf(store.localities, m.locality)}
+                </option>
+              ))}
+          </select>
+          <input
+            className="border rounded-xl px-3 py-2 flex-1"
+            placeholder={t("Título del cupón")}
+            value={form.title}
+            onChange={(e) => set("title", e.target.value)}
+          />
+        </div>
+        <input
+          className="border rounded-xl px-3 py-2 w-full"
+          placeholder={t("Beneficio (ej. 2x1, 10% OFF)")}
+          value={form.benefit}
+          onChange={(e) => set("benefit", e.target.value)}
+        />
+        <textarea
+          className="border rounded-xl px-3 py-2 w-full"
+          placeholder={t("Términos")}
+          value={form.terms}
+          onChange={(e) => set("terms", e.target.value)}
+        />
+        <div className="grid grid-cols-2 gap-3">
+          {[
+            ["startsAt", "Válido desde"],
+            ["endsAt", "Válido hasta (inclusive)"],
+          ].map(([key, label]) => (
+            <label key={key} className="text-xs text-gray-600">
+              {t(label)}
+              <input
+                type="date"
+                className="border rounded-xl px-3 py-2 w-full text-sm"
+                value={form[key]}
+                min={key === "endsAt" ? form.startsAt : undefined}
+                onChange={(e) => set(key, e.target.value)}
+              />
+            </label>
+          ))}
+        </div>
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+          {[
+            ["maxRedemptions", "Cupo total"],
+            ["maxPerDay", "Cupo diario"],
+            ["maxPerUser", "Límite por turista"],
+            ["codeTtlHours", "Validez del código (horas)"],
+          ].map(([key, label]) => (
+            <label key={key} className="text-xs text-gray-600">
+              {t(label)}
+              <input
+                type="number"
+                min={key === "codeTtlHours" ? "1" : "0"}
+                className="border rounded-xl px-3 py-2 w-full text-sm"
+                placeholder={t("Sin límite")}
+                value={form.limits[key]}
+                onChange={(e) => set("limits", { ...form.limits, [key]: e.target.value })}
+              />
+            </label>
+          ))}
+        </div>
+        <div className="space-y-2">
+          <div className="text-xs text-gray-600">{t("Horario de canje (hora Argentina)")}</div>
+          <div className="flex flex-wrap items-center gap-1">
+            {WEEKDAY_NAMES.map((name, d) => (
+              <SecondaryButton
+                key={name}
+                type="button"
+                className={form.schedule.weekdays.includes(d) ? "ring-2 ring-black" : ""}
+                onClick={() => toggleWeekday(d)}
+              >
+                {t(name)}
+              </SecondaryButton>
+            ))}
+          </div>
+          <div className="flex flex-wrap items-center gap-2 text-sm">
+            {t("de")}
+            <input
+              type="time"
+              className="border rounded-xl px-3 py-2"
+              value={form.schedule.from}
+              onChange={(e) => setSchedule({ from: e.target.value })}
+            />
+            {t("a")}
+            <input
+              type="time"
+              className="border rounded-xl px-3 py-2"
+              value={form.schedule.to}
+              onChange={(e) => setSchedule({ to: e.target.value })}
+            />
+            <input
+              className="border rounded-xl px-3 py-2 flex-1"
+              placeholder={t("Fechas excluidas (ej. 2025-12-24, 2025-12-31)")}
+              value={form.schedule.blackout}
+              onChange={(e) => setSchedule({ blackout: e.target.value })}
+            />
+          </div>
+          <div className="text-xs text-gray-500">{scheduleSummary(toSchedule(form.schedule), t) || t("Sin restricción de horario")}</div>
+        </div>
+        <details className="text-sm">
+          <summary className="cursor-pointer text-gray-700">{t("Traducciones (lo que quede vacío se muestra en español)")}</summary>
+          <div className="mt-2 grid md:grid-cols-2 gap-3">
+            {TRANSLATED_LANGS.map((l) => (
+              <div key={l} className="space-y-2">
+                <div className="text-xs text-gray-600">{LANGUAGES[l].label}</div>
+                {TRANSLATED_FIELDS.map(([field, label]) => (
+                  <input
+                    key={field}
+                    className="border rounded-xl px-3 py-2 w-full"
+                    placeholder={t(label)}
+                    value={form.i18n[l][field]}
+                    onChange={(e) => setTranslation(l, field, e.target.value)}
+                  />
+                ))}
               </div>
-              <div className="text-xs text-gray-500 mt-2">Código válido por única vez</div>
-            </div>
-          )}
-          {toast && <div className="mt-3 text-xs text-gray-700">{toast}</div>}
-        </Card>
-
-        <Card>
-          <SectionTitle>Historial</SectionTitle>
-          <div className="space-y-2">
-            {store.issued.slice(0, 5).map((r) => {
-              const c = store.coupons.find((cc) => cc.id === r.couponId);
-              const m = store.merchants.find((mm) => mm.id === c?.merchantId);
-              return (
-                <div key={r.code} className="flex items-center justify-between text-sm">
-                  <div>
-                    <div className="font-medium">{c?.title}</div>
-                    <div className="text-gray-500">
-                      {m?.name} · <span className="font-mono">{r.code}</span>
-                    </div>
-                  </div>
-                  <div className="text-xs text-gray-400">{new Date(r.issuedAt).toLocaleDateString()}</div>
-                </div>
-              );
-            })}
-            {store.issued.length === 0 && <div className="text-sm text-gray-500">Sin emisiones aún.</div>}
+            ))}
           </div>
-        </Card>
-      </div>
-    </div>
+        </details>
+        {msg && <div className={`text-xs ${msg.ok ? "text-green-700" : "text-red-700"}`}>{t(msg.message, msg.vars)}</div>}
+        <div className="flex justify-end gap-2">
+          {coupon ? (
+            <>
+              <SecondaryButton type="button" onClick={() => onDone?.(null)}>
+                {t("Cancelar")}
+              </SecondaryButton>
+              <Button type="submit">{t("Guardar cambios")}</Button>
+            </>
+          ) : (
+            <>
+              <SecondaryButton type="button" onClick={(e) => submit(e, "draft")}>
+                {t("Guardar borrador")}
+              </SecondaryButton>
+              <Button type="submit">{t("Crear cupón")}</Button>
+            </>
+          )}
+        </div>
+      </form>
+    </Card>
   );
 }
 
-function MerchantView({ store }) {
-  const [tab, setTab] = useState("redeem");
-  const [code, setCode] = useState("");
+const DATASET_LABELS = {
+  coupons: "Cupones",
+  merchants: "Comercios",
+  issued: "Códigos emitidos",
+  redemptions: "Canjes",
+  voids: "Canjes anulados",
+};
+
+// Admin: CSV/JSON export with filters, and bulk import of merchants/coupons with a preview
+function DataTransfer({ store }) {
+  const { t } = useI18n();
+  const [exportForm, setExportForm] = useState({ dataset: "redemptions", format: "csv", merchantId: "" });
+  const [range, setRange] = useState({ from: "", to: "" });
+  const [dataset, setDataset] = useState("coupons");
+  const [text, setText] = useState("");
+  const [preview, setPreview] = useState(null); // { rows } | { error }
   const [msg, setMsg] = useState(null);
 
-  const myCoupons = store.coupons.map((c) => ({
-    ...c,
-    merchant: store.merchants.find((m) => m.id === c.merchantId),
-  }));
+  const download = () => {
+    const { dataset: name, format, merchantId } = exportForm;
+    const body = exportData(store, name, format, { ...range, merchantId });
+    const suffix = [range.from, range.to].filter(Boolean).join("_a_");
+    downloadFile(
+      `cuponera-${name}${suffix ? `-${suffix}` : ""}.${format}`,
+      body,
+      format === "json" ? "application/json" : "text/csv;charset=utf-8"
+    );
+  };
 
-  const handleRedeem = () => {
-    if (!code) return;
-    const res = store.redeemCode(code.trim().toUpperCase());
+  const check = () => {
+    setMsg(null);
+    const parsed = parseImport(text, dataset);
+    setPreview(parsed.error ? parsed : { rows: validateImport(store, dataset, parsed.records, parsed.firstLine) });
+  };
+
+  const apply = () => {
+    const res = store.importRows(dataset, preview.rows);
     setMsg(res);
-    if (res.ok) setCode("");
+    if (res.ok) {
+      setPreview(null);
+      setText("");
+    }
   };
 
-  return (
-    <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
-      <div className="md:col-span-2 space-y-4">
-        <Card>
-          <div className="flex gap-2">
-            <SecondaryButton className={tab === "redeem" ? "ring-2 ring-black" : ""} onClick={() => setTab("redeem")}>
-              Canjear
-            </SecondaryButton>
-            <SecondaryButton className={tab === "coupons" ? "ring-2 ring-black" : ""} onClick={() => setTab("coupons")}>
-              Mis cupones
-            </SecondaryButton>
-            <SecondaryButton className={tab === "metrics" ? "ring-2 ring-black" : ""} onClick={() => setTab("metrics")}>
-              Métricas
-            </SecondaryButton>
-          </div>
-        </Card>
+  const readFile = async (file) => {
+    if (!file) return;
+    setText(await file.text());
+    setPreview(null);
+  };
 
-        {tab === "redeem" && (
-          <Card>
-            <SectionTitle>Validar canje</SectionTitle>
-            <p className="text-sm text-gray-600 mb-3">Escaneá el QR del cliente o ingresá el código manualmente (incluye letra de control).</p>
-            <div className="flex gap-2">
-              <input
-                className="border rounded-xl px-3 py-2 flex-1 font-mono"
-                placeholder="CÓDIGO (ej. 1A2B3C4DX)"
-                value={code}
-                onChange={(e) => setCode(e.target.value.toUpperCase())}
-              />
-              <Button onClick={handleRedeem}>Canjear</Button>
-            </div>
-            {msg && <div className={`mt-3 text-sm ${msg.ok ? "text-green-700" : "text-red-700"}`}>{msg.message}</div>}
-          </Card>
-        )}
+  const validCount = preview?.rows?.filter((r) => !r.errors.length).length ?? 0;
 
-        {tab === "coupons" && (
-          <div className="space-y-3">
-            {myCoupons.map((c) => (
-              <Card key={c.id}>
-                <div className="flex items-start justify-between">
-                  <div>
-                    <div className="font-semibold">{c.title}</div>
-                    <div className="text-sm text-gray-600">{c.benefit}</div>
-                    <div className="text-xs text-gray-500 mt-1">{c.terms}</div>
-                  </div>
-                  <Badge>{c.status}</Badge>
-                </div>
-              </Card>
+  return (
+    <Card>
+      <SectionTitle>{t("Exportar e importar")}</SectionTitle>
+      <div className="space-y-2">
+        <div className="flex flex-wrap gap-2">
+          <select
+            className="border rounded-xl px-3 py-2 text-sm"
+            value={exportForm.dataset}
+            onChange={(e) => setExportForm((prev) => ({ ...prev, dataset: e.target.value }))}
+          >
+            {Object.keys(EXPORT_COLUMNS).map((name) => (
+              <option key={name} value={name}>
+                {t(DATASET_LABELS[name])}
+              </option>
             ))}
-            {myCoupons.length === 0 && <Card>No tenés cupones aún.</Card>}
-          </div>
-        )}
+          </select>
+          <select
+            className="border rounded-xl px-3 py-2 text-sm"
+            value={exportForm.merchantId}
+            onChange={(e) => setExportForm((prev) => ({ ...prev, merchantId: e.target.value }))}
+          >
+            <option value="">{t("Todos los comercios")}</option>
+            {store.merchants.map((m) => (
+              <option key={m.id} value={m.id}>
+                {m.name}
+              </option>
+            ))}
+          </select>
+          <select
+            className="border rounded-xl px-3 py-2 text-sm"
+            value={exportForm.format}
+            onChange={(e) => setExportForm((prev) => ({ ...prev, format: e.target.value }))}
+          >
+            <option value="csv">CSV</option>
+            <option value="json">JSON</option>
+          </select>
+          <Button onClick={download}>{t("Exportar")}</Button>
+        </div>
+        <DateRangeFilter range={range} onChange={setRange} />
+        <div className="text-xs text-gray-500">
+          {t("{n} filas", { n: exportRows(store, exportForm.dataset, { ...range, merchantId: exportForm.merchantId }).length })}
+        </div>
+      </div>
 
-        {tab === "metrics" && (
-          <Card>
-            <SectionTitle>Métricas rápidas</SectionTitle>
-            <div className="space-y-2">
-              {myCoupons.map((c) => (
-                <div key={c.id} className="flex items-center justify-between text-sm">
-                  <div>
-                    <div className="font-medium">{c.title}</div>
-                    <div className="text-gray-500">{c.merchant?.name}</div>
-                  </div>
-                  <div className="text-gray-900">{store.metrics.byCoupon[c.id] || 0} canjes</div>
-                </div>
-              ))}
-            </div>
-          </Card>
+      <div className="mt-4 border-t pt-4 space-y-2">
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          {t("Importar")}
+          <select
+            className="border rounded-xl px-3 py-2"
+            value={dataset}
+            onChange={(e) => {
+              setDataset(e.target.value);
+              setPreview(null);
+            }}
+          >
+            {IMPORT_DATASETS.map((name) => (
+              <option key={name} value={name}>
+                {t(DATASET_LABELS[name])}
+              </option>
+            ))}
+          </select>
+          <input type="file" accept=".csv,.json,text/csv,application/json" onChange={(e) => readFile(e.target.files?.[0])} />
+        </div>
+        <textarea
+          className="border rounded-xl px-3 py-2 w-full font-mono text-xs"
+          rows={4}
+          placeholder={t("CSV con encabezado ({columns}) o JSON", { columns: EXPORT_COLUMNS[dataset].join(",") })}
+          value={text}
+          onChange={(e) => {
+            setText(e.target.value);
+            setPreview(null);
+          }}
+        />
+        <div className="flex justify-end gap-2">
+          <SecondaryButton onClick={check}>{t("Vista previa")}</SecondaryButton>
+          {validCount > 0 && <Button onClick={apply}>{t("Importar {n} fila(s) válida(s)", { n: validCount })}</Button>}
+        </div>
+        {preview?.error && <div className="text-xs text-red-700">{t(preview.error, preview.vars)}</div>}
+        {preview?.rows && (
+          <div className="max-h-64 overflow-auto">
+            <table className="w-full text-xs">
+              <thead>
+                <tr className="text-left text-gray-500">
+                  <th className="font-normal">{t("Fila")}</th>
+                  <th className="font-normal">{t(dataset === "merchants" ? "Comercio" : "Cupón")}</th>
+                  <th className="font-normal">{t("Acción")}</th>
+                  <th className="font-normal">{t("Errores")}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {preview.rows.map((r) => (
+                  <tr key={r.line} className={r.errors.length ? "text-red-700" : ""}>
+                    <td className="py-1">{r.line}</td>
+                    <td>{r.item.name || r.item.title || "—"}</td>
+                    <td>{t(r.action === "update" ? "actualizar" : "crear")}</td>
+                    <td>{r.errors.map((e) => t(e.message, e.vars)).join("; ") || "—"}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
         )}
+        {msg && <div className={`text-xs ${msg.ok ? "text-green-700" : "text-red-700"}`}>{t(msg.message, msg.vars)}</div>}
       </div>
+    </Card>
+  );
+}
 
-      <div className="space-y-4">
-        <Card>
-          <SectionTitle>Últimos canjes</SectionTitle>
-          <div className="space-y-2">
-            {store.redemptions.slice(0, 6).map((r) => {
-              const c = store.coupons.find((cc) => cc.id === r.couponId);
-              const m = store.merchants.find((mm) => mm.id === c?.merchantId);
-              return (
-                <div key={r.code} className="flex items-center justify-between text-sm">
-                  <div>
-                    <div className="font-medium">{c?.title}</div>
-                    <div className="text-gray-500">
-                      {m?.name} · <span className="font-mono">{r.code}</span>
-                    </div>
-                  </div>
-                  <div className="text-xs text-gray-400">{new Date(r.redeemedAt).toLocaleTimeString()}</div>
+function AdminPasswordCard({ store, access }) {
+  const { t } = useI18n();
+  const [password, setPassword] = useState("");
+  const [msg, setMsg] = useState(null);
+
+  const submit = async (e) => {
+    e.preventDefault();
+    const res = await store.setCredential("admin", null, password);
+    setMsg(res);
+    if (!res.ok) return;
+    access.renew(res.credential);
+    setPassword("");
+  };
+
+  return (
+    <Card>
+      <SectionTitle>{t("Contraseña de administración")}</SectionTitle>
+      <p className="text-xs text-gray-600 mb-2">{t("Al cambiarla se cierran las demás sesiones de administración.")}</p>
+      <form className="flex gap-2" onSubmit={submit}>
+        <input
+          type="password"
+          autoComplete="new-password"
+          className="border rounded-xl px-3 py-2 flex-1 text-sm"
+          placeholder={t("Nueva contraseña")}
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+        />
+        <Button type="submit">{t("Cambiar")}</Button>
+      </form>
+      {msg && <div className={`mt-2 text-xs ${msg.ok ? "text-green-700" : "text-red-700"}`}>{t(msg.message, msg.vars)}</div>}
+    </Card>
+  );
+}
+
+// Dense runs of invalid codes (see suspiciousBursts), with whether they still lock the till
+function SuspiciousAttempts({ store }) {
+  const { t, date, time } = useI18n();
+  const now = useNow(30000);
+  const bursts = useMemo(() => suspiciousBursts(store.attempts), [store.attempts]);
+
+  return (
+    <Card>
+      <SectionTitle>{t("Intentos de canje sospechosos")}</SectionTitle>
+      <p className="text-xs text-gray-600 mb-2">
+        {t("{n} o más códigos inválidos o ingresos fallidos en {minutes} minutos desde un mismo equipo.", {
+          n: BURST_FAILURES,
+          minutes: BURST_WINDOW_MINUTES,
+        })}
+      </p>
+      {!bursts.length && <div className="text-sm text-gray-500">{t("Sin ráfagas registradas.")}</div>}
+      <div className="space-y-2">
+        {bursts.map((b) => {
+          const lock = b.login
+            ? loginLockout(store.attempts, b.terminalId, b.merchantId ? "merchant" : "admin", b.merchantId, now)
+            : lockout(store.attempts, b.terminalId, b.merchantId, now);
+          return (
+            <div key={`${b.terminalId}-${b.login}-${b.from}`} className="flex items-center justify-between text-sm">
+              <div>
+                <div className="font-medium">{nameOf(store.merchants, b.merchantId) || t("Administración")}</div>
+                <div className="text-gray-500">
+                  {t("Equipo")} <span className="font-mono">{b.terminalId.slice(0, 8)}</span> · {date(b.from)} {time(b.from)}–{time(b.to)}
                 </div>
-              );
-            })}
-            {store.redemptions.length === 0 && <div className="text-sm text-gray-500">Sin canjes registrados.</div>}
-          </div>
-        </Card>
+              </div>
+              <div className="text-right">
+                <div className="text-gray-900">
+                  {t(b.login ? "{n} ingresos fallidos" : "{n} códigos inválidos", { n: b.count })}
+                </div>
+                {lock && <div className="text-xs text-amber-700">{t("bloqueado hasta {time}", { time: time(lock.until) })}</div>}
+              </div>
+            </div>
+          );
+        })}
       </div>
-    </div>
+    </Card>
   );
 }
 
-function AdminView({ store }) {
-  const [title, setTitle] = useState("");
-  const [benefit, setBenefit] = useState("");
-  const [terms, setTerms] = useState("");
-  const [merchantId, setMerchantId] = useState(store.merchants[0]?.id || "");
+function AdminView({ store, access }) {
+  const { t, date } = useI18n();
+  const [editingId, setEditingId] = useState(null);
+  const [msg, setMsg] = useState(null); // { couponId, ok, message } from the list actions
+  const editing = store.coupons.find((c) => c.id === editingId);
 
-  const submit = (e) => {
-    e.preventDefault();
-    if (!title || !merchantId) return;
-    store.createCoupon({
-      merchantId,
-      title,
-      benefit,
-      terms,
-      startsAt: new Date().toISOString().slice(0, 10),
-      endsAt: "2025-12-31",
-    });
-    setTitle("");
-    setBenefit("");
-    setTerms("");
+  const remove = (c) => {
+    const question = hasCodes(store, c.id)
+      ? '"{title}" ya tiene códigos emitidos: se va a archivar en lugar de borrarse. ¿Continuar?'
+      : '¿Eliminar "{title}"? No se puede deshacer.';
+    if (!window.confirm(t(question, { title: c.title }))) return;
+    if (c.id === editingId) setEditingId(null);
+    setMsg({ couponId: c.id, ...store.deleteCoupon(c.id) });
+  };
+
+  const duplicate = (c) => {
+    const res = store.duplicateCoupon(c.id);
+    setMsg({ couponId: c.id, ...res });
+    if (res.ok) setEditingId(res.coupon.id);
   };
 
   const merchantMetrics = Object.entries(store.metrics.byMerchant)
@@ -532,52 +5147,50 @@ function AdminView({ store }) {
   return (
     <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
       <div className="md:col-span-2 space-y-4">
-        <Card>
-          <SectionTitle>Alta rápida de cupón</SectionTitle>
-          <form className="space-y-3" onSubmit={submit}>
-            <div className="flex gap-3">
-              <select className="border rounded-xl px-3 py-2" value={merchantId} onChange={(e) => setMerchantId(e.target.value)}>
-                {store.merchants.map((m) => (
-                  <option key={m.id} value={m.id}>
-                    {m.name} — {LOCALITIES.find((l) => l.id === m.locality)?.name}
-                  </option>
-                ))}
-              </select>
-              <input
-                className="border rounded-xl px-3 py-2 flex-1"
-                placeholder="Título del cupón"
-                value={title}
-                onChange={(e) => setTitle(e.target.value)}
-              />
-            </div>
-            <input
-              className="border rounded-xl px-3 py-2 w-full"
-              placeholder="Beneficio (ej. 2x1, 10% OFF)"
-              value={benefit}
-              onChange={(e) => setBenefit(e.target.value)}
-            />
-            <textarea
-              className="border rounded-xl px-3 py-2 w-full"
-              placeholder="Términos"
-              value={terms}
-              onChange={(e) => setTerms(e.target.value)}
-            />
-            <div className="flex justify-end">
-              <Button type="submit">Crear cupón</Button>
-            </div>
-          </form>
-        </Card>
+        <DataStatus store={store} />
+        {editing ? (
+          <CouponEditor
+            key={editing.id}
+            store={store}
+            coupon={editing}
+            onDone={(res) => {
+              setEditingId(null);
+              if (res) setMsg({ couponId: editing.id, ...res });
+            }}
+          />
+        ) : (
+          <CouponEditor store={store} />
+        )}
+
+        <AnalyticsPanel store={store} />
+
+        <MerchantDirectory store={store} />
+
+        <DataTransfer store={store} />
 
         <Card>
-          <SectionTitle>Cupones activos</SectionTitle>
+          <SectionTitle>{t("Cupones")}</SectionTitle>
           <div className="space-y-2">
             {store.coupons.map((c) => (
-              <div key={c.id} className="flex items-center justify-between text-sm">
+              <div key={c.id} className="flex items-center justify-between gap-2 text-sm">
                 <div>
                   <div className="font-medium">{c.title}</div>
-                  <div className="text-gray-500">{store.merchants.find((m) => m.id === c.merchantId)?.name}</div>
+                  <div className="text-gray-500">
+                    {store.merchants.find((m) => m.id === c.merchantId)?.name} · {date(c.startsAt)} → {date(c.endsAt)}
+                  </div>
+                  <Badge>{t(COUPON_STATES[couponState(c)].label)}</Badge>
+                  {msg?.couponId === c.id && (
+                    <div className={`mt-1 text-xs ${msg.ok ? "text-green-700" : "text-red-700"}`}>{t(msg.message, msg.vars)}</div>
+                  )}
+                </div>
+                <div className="flex flex-col items-end gap-1">
+                  <div className="flex flex-wrap justify-end gap-1">
+                    {c.status !== "archived" && <SecondaryButton onClick={() => setEditingId(c.id)}>{t("Editar")}</SecondaryButton>}
+                    <SecondaryButton onClick={() => duplicate(c)}>{t("Duplicar")}</SecondaryButton>
+                    {c.status !== "archived" && <SecondaryButton onClick={() => remove(c)}>{t("Eliminar")}</SecondaryButton>}
+                  </div>
+                  <CouponStatusControls coupon={c} store={store} />
                 </div>
-                <Badge>activo</Badge>
               </div>
             ))}
           </div>
@@ -586,16 +5199,40 @@ function AdminView({ store }) {
 
       <div className="space-y-4">
         <Card>
-          <SectionTitle>Top comercios (canjes)</SectionTitle>
+          <SectionTitle>{t("Clave de verificación")}</SectionTitle>
+          <p className="text-xs text-gray-600 mb-2">
+            {t("Los equipos de comercio la reciben con los datos; en uno que no llega al servidor, pegala a mano.")}
+          </p>
+          {store.issuerKey ? (
+            <div className="space-y-2">
+              <div className="font-mono text-xs break-all bg-gray-50 rounded-xl p-2">{store.issuerKey}</div>
+              <SecondaryButton onClick={() => navigator.clipboard?.writeText(store.issuerKey)}>
+                {t("Copiar clave")}
+              </SecondaryButton>
+            </div>
+          ) : (
+            <div className="text-sm text-gray-500">{t("Todavía no hay clave del emisor: los QR llevan solo el código.")}</div>
+          )}
+        </Card>
+
+        <AdminPasswordCard store={store} access={access} />
+
+        <DirectoryEntries store={store} kind="localities" title="Localidades" />
+        <DirectoryEntries store={store} kind="categories" title="Rubros" />
+
+        <SuspiciousAttempts store={store} />
+
+        <Card>
+          <SectionTitle>{t("Top comercios (canjes)")}</SectionTitle>
         
           <div className="space-y-2">
             {(merchantMetrics.length ? merchantMetrics : store.merchants.map((m) => ({ merchant: m, count: 0 }))).map(({ merchant, count }) => (
               <div key={merchant.id} className="flex items-center justify-between text-sm">
                 <div>
                   <div className="font-medium">{merchant.name}</div>
-                  <div className="text-gray-500">{LOCALITIES.find((l) => l.id === merchant.locality)?.name}</div>
+                  <div className="text-gray-500">{nameOf(store.localities, merchant.locality)}</div>
                 </div>
-                <div className="text-gray-900">{count} canjes</div>
+                <div className="text-gray-900">{t("{n} canjes", { n: count })}</div>
               </div>
             ))}
           </div>
@@ -606,6 +5243,17 @@ function AdminView({ store }) {
 }
 
 // === Lightweight Test Panel =====================================================
+// localStorage stand-in for persistence tests
+const memStorage = (entries = {}) => ({
+  items: { ...entries },
+  getItem(k) {
+    return k in this.items ? this.items[k] : null;
+  },
+  setItem(k, v) {
+    this.items[k] = String(v);
+  },
+});
+
 function runTests() {
   const results = [];
   const expect = (name, cond) => results.push({ name, ok: !!cond });
@@ -620,9 +5268,19 @@ function runTests() {
   const code = generateCode(set);
   const body = code.slice(0, -1);
   const check = code.slice(-1);
-  expect("generateCode length 9", code.length === 9);
+  expect("generateCode length 10", code.length === 10);
+  expect("generateCode version marker", code[0] === CODE_VERSION);
   expect("generateCode uppercase alnum", /^[0-9A-Z]+$/.test(code));
-  expect("generateCode checksum valid", checksum36(body) === check);
+  expect("generateCode checksum valid", luhn36(body) === check && isValidCheck(code));
+
+  // Test 2b: Luhn mod 36 catches typos and adjacent transpositions
+  expect("luhn36 known value", luhn36("L1A2B3C4D") === "Z" && isValidCheck("L1A2B3C4DZ"));
+  expect("check detects single-char typo", !isValidCheck("L1A2B8C4DZ"));
+  expect("check detects adjacent transposition", !isValidCheck("LA12B3C4DZ") && !isValidCheck("L1A2B3CD4Z"));
+  expect("check detects transposition with check char", !isValidCheck("L1A2B3C4ZD"));
+  expect("checksum36 blind to transposition (why v2)", checksum36("AB") === checksum36("BA"));
+  const legacy = "1A2B3C4D" + checksum36("1A2B3C4D");
+  expect("legacy v1 code still validates", isValidCheck(legacy));
 
   // Test 3: uniqueness under collisions
   set.add(code); // simulate collision set
@@ -631,8 +5289,8 @@ function runTests() {
 
   // Test 4: issue/reuse semantics in isolated mini-store
   const mini = makeMiniStore();
-  const first = mini.issue("c1");
-  const second = mini.issue("c1");
+  const first = mini.issue("c1").record;
+  const second = mini.issue("c1").record;
   expect("issue reuses active", first.code === second.code);
 
   // Test 5: redeem flow and double spending prevention
@@ -646,6 +5304,395 @@ function runTests() {
   const bad = mini.redeem(bogus);
   expect("invalid checksum rejected", bad.ok === false);
 
+  // Dates in tests are wall-clock Argentina time (UTC-3, no DST)
+  const ar = (local) => new Date(`${local}:00-03:00`);
+
+  // Test 7: validity window (inclusive on both ends)
+  const win = { startsAt: "2025-09-01", endsAt: "2025-10-31" };
+  expect("couponState scheduled before startsAt", couponState(win, ar("2025-08-31T23:59")) === "scheduled");
+  expect("couponState active on startsAt", couponState(win, ar("2025-09-01T00:00")) === "active");
+  expect("couponState active on endsAt", couponState(win, ar("2025-10-31T23:59")) === "active");
+  expect("couponState expired after endsAt", couponState(win, ar("2025-11-01T00:00")) === "expired");
+
+  // Test 8: expired coupons are not issued nor redeemed
+  expect("issue refused for expired coupon", mini.issue("c2").ok === false);
+  const stale = mini.issue("c3").record;
+  mini.update("c3", { endsAt: "2000-01-01" });
+  const late = mini.redeem(stale.code);
+  expect("redeem rejected once coupon expired", late.ok === false && late.message === "Cupón vencido");
+
+  // Test 9: lifecycle — drafts hidden from issuance, pause honors issued codes unless blocked
+  expect("couponState draft wins over window", couponState({ ...win, status: "draft" }, ar("2025-09-15T00:00")) === "draft");
+  expect("couponState paused inside window", couponState({ ...win, status: "paused" }, ar("2025-09-15T00:00")) === "paused");
+  expect("couponState paused past end is expired", couponState({ ...win, status: "paused" }, ar("2025-12-01T00:00")) === "expired");
+  expect("seed coupons are still running today", initialCoupons.every((c) => couponState(c) === "active"));
+  const held = mini.issue("c4").record;
+  const heldBlocked = mini.issue("c4b").record;
+  mini.update("c4", { status: "paused" });
+  mini.update("c4b", { status: "paused", pauseBlocksIssued: true });
+  expect("issue refused while paused", mini.issue("c4").ok === false);
+  expect("paused coupon honors issued code", mini.redeem(held.code).ok === true);
+  expect("paused coupon can block issued codes", mini.redeem(heldBlocked.code).message === "Cupón pausado");
+  mini.update("c4", { status: "archived" });
+  expect("issue refused when archived", mini.issue("c4").message === "Cupón archivado");
+  expect("archived cannot be resumed", !COUPON_TRANSITIONS.archived.active);
+
+  // Test 10: redemption caps (total, daily, per tourist)
+  const day = ar("2025-09-15T12:00");
+  const reds = [
+    { couponId: "cap", userId: "u1", redeemedAt: ar("2025-09-14T12:00").toISOString() },
+    { couponId: "cap", userId: "u2", redeemedAt: ar("2025-09-15T10:00").toISOString() },
+    { couponId: "other", userId: "u1", redeemedAt: ar("2025-09-15T10:00").toISOString() },
+  ];
+  const capped = { id: "cap", maxRedemptions: 3, maxPerDay: 1, maxPerUser: 1 };
+  const stock = couponStock(capped, reds, day);
+  expect("couponStock counts total remaining", stock.total === 1);
+  expect("couponStock counts today remaining", stock.today === 0);
+  expect("couponStock null when uncapped", couponStock({ id: "cap" }, reds, day).total === null);
+  expect("daily cap refuses", limitRefusal(capped, reds, "u3", day)?.message === "Cupos del día agotados");
+  expect("per-user cap refuses", limitRefusal({ ...capped, maxPerDay: null }, reds, "u1", day)?.message === "Límite por persona alcanzado");
+  expect("caps allow new tourist", limitRefusal({ ...capped, maxPerDay: null }, reds, "u3", day) === null);
+  expect("total cap refuses", limitRefusal({ id: "cap", maxRedemptions: 2 }, reds, "u3", day)?.message === "Cupos agotados");
+
+  // Test 11: schedule rules in Argentina time (2025-09-15 is a Monday)
+  const sched = { weekdays: [1, 2, 3, 4, 5], hours: [{ from: "16:00", to: "19:00" }], blackoutDates: ["2025-09-16"] };
+  expect("schedule allows inside hours", scheduleRefusal(sched, ar("2025-09-15T16:30")) === null);
+  expect("schedule end hour is exclusive", scheduleRefusal(sched, ar("2025-09-15T19:00"))?.message.startsWith("Fuera de horario"));
+  const said = (r, lang = "es") => r && translate(lang)(r.message, r.vars);
+  expect("schedule rejects 11 am", said(scheduleRefusal(sched, ar("2025-09-15T11:00"))) === "Fuera de horario (válido de 16 a 19 h)");
+  expect("schedule rejects weekend", said(scheduleRefusal(sched, ar("2025-09-13T17:00"))) === "Fuera de horario (válido lun a vie)");
+  expect("schedule rejects blackout", said(scheduleRefusal(sched, ar("2025-09-16T17:00"))) === "Fuera de horario (no válido el 16/09)");
+  expect("schedule refusal in English", said(scheduleRefusal(sched, ar("2025-09-13T17:00")), "en") === "Outside opening hours (valid mon to fri)");
+  expect("schedule uses AR time, not UTC", scheduleRefusal(sched, new Date("2025-09-15T21:30:00Z")) === null);
+  expect("schedule overnight range", scheduleRefusal({ hours: [{ from: "20:00", to: "02:00" }] }, ar("2025-09-15T01:00")) === null);
+  expect("scheduleSummary", scheduleSummary(sched) === "Lun a Vie de 16 a 19 h · excepto 16/09");
+  expect("scheduleSummary every day", scheduleSummary({ hours: [{ from: "16:00", to: "19:30" }] }) === "Todos los días de 16 a 19:30 h");
+  expect("scheduleSummary sparse days", scheduleSummary({ weekdays: [6, 0] }) === "Dom, Sáb");
+
+  // Test 12: a till only redeems its own merchant's codes
+  const foreign = mini.issue("c5").record;
+  expect("redeem refused at another merchant", mini.redeem(foreign.code, "m1").message === "El código es de otro comercio");
+  expect("redeem ok at owning merchant", mini.redeem(foreign.code, "m2").ok === true);
+
+  // Test 13: persistence — migrations, validation and backups
+  const v2Fields = ["schedule", "maxRedemptions", "maxPerUser"];
+  const v1Coupons = initialCoupons.map((c) => Object.fromEntries(Object.entries(c).filter(([k]) => !v2Fields.includes(k))));
+  v1Coupons[0] = { ...v1Coupons[0], title: "Editado por admin" };
+  const v1Blob = { merchants: initialMerchants, coupons: v1Coupons, issued: [], redemptions: [] };
+  const migrated = loadStore(INITIAL_STORE, memStorage({ [STORAGE_KEY]: JSON.stringify(v1Blob) }));
+  expect("v1 blob migrates without report", migrated.report === null);
+  expect("migration adds seed schedule", !!migrated.data.coupons.find((c) => c.id === "c1").schedule);
+  expect("migration adds seed caps", migrated.data.coupons.find((c) => c.id === "c3").maxRedemptions === 20);
+  expect("migration keeps user edits", migrated.data.coupons[0].title === "Editado por admin");
+  expect("migration moves localities into the store", migrated.data.localities.length === initialLocalities.length);
+  expect("migration adds an empty attempt log", Array.isArray(migrated.data.attempts) && migrated.data.attempts.length === 0);
+  const keyed = loadStore(INITIAL_STORE, memStorage({ [STORAGE_KEY]: JSON.stringify({ ...v1Blob, signingKeys: { privateJwk: {}, publicKey: "k" } }) }));
+  expect("migration drops the key pair a device made", !("signingKeys" in keyed.data) && keyed.data.issuerKey === null);
+  const corrupt = memStorage({ [STORAGE_KEY]: "{not json" });
+  const broken = loadStore(INITIAL_STORE, corrupt);
+  expect("corrupt blob reported", broken.report && broken.data === INITIAL_STORE);
+  expect("corrupt blob backed up", corrupt.getItem(broken.report.backupKey) === "{not json");
+  const invalid = loadStore(INITIAL_STORE, memStorage({ [STORAGE_KEY]: JSON.stringify({ ...v1Blob, issued: [{ code: "X" }] }) }));
+  expect("invalid record reported", invalid.report?.errors.some((e) => e.startsWith("issued[0]")));
+  const future = loadStore(INITIAL_STORE, memStorage({ [STORAGE_KEY]: JSON.stringify({ schemaVersion: SCHEMA_VERSION + 1 }) }));
+  expect("newer schema not overwritten", !!future.report?.backupKey);
+  expect("every version has a migration", MIGRATIONS.length === SCHEMA_VERSION - 1);
+
+  // Test 14: cross-tab merge rules
+  const tabA = {
+    ...INITIAL_STORE,
+    issued: [{ code: "A1", couponId: "c1", issuedAt: "2025-09-15T10:00:00Z" }],
+    redemptions: [{ code: "R1", couponId: "c1", redeemedAt: "2025-09-15T12:00:05Z", userId: "a" }],
+    coupons: [...initialCoupons, { id: "cA", merchantId: "m1", title: "Nuevo en A" }],
+  };
+  const tabB = {
+    ...INITIAL_STORE,
+    issued: [{ code: "B1", couponId: "c1", issuedAt: "2025-09-15T11:00:00Z" }],
+    redemptions: [{ code: "R1", couponId: "c1", redeemedAt: "2025-09-15T12:00:00Z", userId: "b" }],
+    coupons: initialCoupons.map((c) => (c.id === "c2" ? { ...c, status: "paused" } : c)),
+  };
+  const merged = mergeStores(tabA, tabB);
+  expect("merge keeps issuances from both tabs", merged.issued.map((r) => r.code).join() === "B1,A1");
+  expect("merge keeps earliest redemption of a code", merged.redemptions.length === 1 && merged.redemptions[0].userId === "b");
+  expect("merge keeps coupons from both tabs", merged.coupons.some((c) => c.id === "cA") && merged.coupons.length === 4);
+  expect("merge: newer side wins same coupon", merged.coupons.find((c) => c.id === "c2").status === "active");
+  expect("merge is order-independent for records", stableStringify(mergeStores(tabB, tabA).redemptions) === stableStringify(merged.redemptions));
+  expect("merge keeps the loaded issuer key", mergeStores({ ...tabA, issuerKey: null }, { ...tabB, issuerKey: "a" }).issuerKey === "a");
+  expect("stableStringify ignores key order", stableStringify({ a: 1, b: { c: 2, d: 3 } }) === stableStringify({ b: { d: 3, c: 2 }, a: 1 }));
+
+  // Test 15: tourist identity & wallet transfer
+  expect("contact email normalized", normalizeContact(" Ana@Mail.com ").contact === "ana@mail.com");
+  expect("contact phone normalized", normalizeContact("+54 9 2255 123456").contact === "+5492255123456");
+  expect("contact invalid rejected", normalizeContact("hola").ok === false);
+  const walletRecords = [{ code: "L1A2B3C4DZ", couponId: "c1", issuedAt: "2025-09-15T12:00:00.000Z", userId: "t1" }];
+  const walletText = encodeWallet({ id: "t1", contact: "ana@mail.com" }, walletRecords);
+  const wallet = decodeWallet(walletText);
+  expect("wallet round-trips", wallet.ok && wallet.wallet.id === "t1" && wallet.wallet.issued[0].code === "L1A2B3C4DZ");
+  expect("wallet rejects garbage", decodeWallet("CTW1.xyz").ok === false && decodeWallet(walletText.slice(1)).ok === false);
+  const storedCode = { ...walletRecords[0], token: "CT1.stored", expiresAt: "2025-09-16T12:00:00.000Z", cancelledAt: "2025-09-15T13:00:00.000Z" };
+  const forgedImport = walletImport([{ ...walletRecords[0], token: "CT1.forged" }], [storedCode], "t2");
+  expect("wallet import keeps the stored record, new owner", forgedImport.accepted[0].userId === "t2" && forgedImport.accepted[0].token === "CT1.stored" && forgedImport.accepted[0].cancelledAt && forgedImport.accepted[0].expiresAt);
+  expect("wallet import refuses a mismatched code", walletImport([{ ...walletRecords[0], couponId: "c2" }], [storedCode], "t2").refused === 1);
+  expect("wallet import refuses unknown unsigned codes", walletImport(walletRecords, [], "t2").accepted.length === 0);
+  const signedImport = walletImport([{ ...walletRecords[0], couponId: "c9", token: "CT1.x" }], [], "t2", { L1A2B3C4DZ: { k: "L1A2B3C4DZ", c: "c1", t: walletRecords[0].issuedAt } });
+  expect("wallet import rebuilds unknown codes from their token", signedImport.accepted[0]?.couponId === "c1" && signedImport.accepted[0].userId === "t2");
+
+  // Test 16: scanned QR text -> code
+  expect("parseScannedCode normalizes", parseScannedCode(" l1a2b3c4dz\n") === "L1A2B3C4DZ");
+  expect("parseScannedCode accepts legacy code", parseScannedCode(legacy) === legacy);
+  expect("parseScannedCode rejects foreign QR", parseScannedCode("https://example.com") === null);
+  expect("parseScannedCode accepts generated code", parseScannedCode(generateCode(new Set())) !== null);
+
+  // Test 17: directory validation and referential checks
+  const dir = { ...INITIAL_STORE, localities: [...initialLocalities, { id: "old", name: "Vieja", active: false }] };
+  expect("merchant needs a name", merchantRefusal(dir, { name: " ", locality: "gesell", category: "food" })?.ok === false);
+  expect("merchant name is unique", merchantRefusal(dir, { name: "heladería sol mar", locality: "gesell", category: "food" })?.ok === false);
+  expect("merchant needs a known locality", merchantRefusal(dir, { name: "Nuevo", locality: "nope", category: "food" })?.ok === false);
+  expect("new merchant can't use an inactive locality", merchantRefusal(dir, { name: "Nuevo", locality: "old", category: "food" })?.ok === false);
+  expect("valid merchant accepted", merchantRefusal(dir, { name: "Nuevo", locality: "marazul", category: "shops" }) === null);
+  expect("locality with merchants not deletable", entryRemovalRefusal(dir, "localities", "gesell", "delete")?.ok === false);
+  expect("unused locality deletable", entryRemovalRefusal(dir, "localities", "marazul", "delete") === null);
+  const idle = { ...dir, merchants: dir.merchants.map((m) => (m.locality === "mdlp" ? { ...m, active: false } : m)) };
+  expect("locality of inactive merchants deactivates", entryRemovalRefusal(idle, "localities", "mdlp", "deactivate") === null);
+  expect("locality of inactive merchants still not deletable", entryRemovalRefusal(idle, "localities", "mdlp", "delete")?.ok === false);
+  expect("slug ids avoid accents and clashes", slugId("Mar de las Pampas", []) === "mardelaspampas" && slugId("Gesell", [{ id: "gesell" }]) === "gesell2");
+  const tomb = { id: "marazul", name: "Mar Azul", deletedAt: "2025-09-15T12:00:00Z" };
+  expect("merge keeps deletion tombstones", mergeStores(dir, { ...dir, localities: [tomb] }).localities.find((l) => l.id === "marazul").deletedAt);
+
+  // Test 18: coupon editor validation and safe delete
+  const draft = { merchantId: "m1", title: "Promo", benefit: "2x1", startsAt: "2025-09-01", endsAt: "2025-09-30" };
+  expect("editor accepts a valid coupon", couponFormRefusal(draft) === null);
+  expect("editor accepts a one-day coupon", couponFormRefusal({ ...draft, endsAt: "2025-09-01" }) === null);
+  expect("editor rejects end before start", couponFormRefusal({ ...draft, endsAt: "2025-08-31" })?.ok === false);
+  expect("editor requires a benefit", couponFormRefusal({ ...draft, benefit: "  " })?.ok === false);
+  expect("editor requires an end date", couponFormRefusal({ ...draft, endsAt: "" })?.ok === false);
+  expect("editor rejects impossible dates", couponFormRefusal({ ...draft, startsAt: "2025-02-31x" })?.ok === false);
+  expect("schedule form round-trips", stableStringify(toSchedule(fromSchedule(initialCoupons[0].schedule))) === stableStringify({ weekdays: [], hours: [{ from: "16:00", to: "19:00" }], blackoutDates: [] }));
+  const shelf = { ...INITIAL_STORE, issued: [{ code: "S1", couponId: "c3", issuedAt: "2025-09-15T12:00:00Z" }] };
+  const shelved = initialCoupons.find((c) => c.id === "c3");
+  expect("delete with issued codes archives", couponRemoval(shelf, shelved).action === "archive");
+  expect("archived coupon with codes stays archived", couponRemoval(shelf, { ...shelved, status: "archived" }).ok === false);
+  const tombstone = couponRemoval(shelf, initialCoupons[0], new Date("2025-09-15T12:00:00Z"));
+  expect("delete without codes leaves a tombstone", tombstone.action === "delete" && tombstone.coupon.deletedAt === "2025-09-15T12:00:00.000Z");
+  expect("delete of an unknown coupon refused", couponRemoval(shelf, undefined).ok === false);
+  const goneCoupon = { ...initialCoupons[0], deletedAt: "2025-09-15T12:00:00Z" };
+  expect("merge keeps deleted coupons deleted", mergeStores(INITIAL_STORE, { ...INITIAL_STORE, coupons: [goneCoupon] }).coupons.find((c) => c.id === "c1").deletedAt);
+
+  // Test 19: analytics buckets, conversion and medians (Argentina time)
+  const iso = (local) => ar(local).toISOString();
+  const stats = {
+    ...INITIAL_STORE,
+    issued: [
+      { code: "A1", couponId: "c1", issuedAt: iso("2025-09-14T10:00") },
+      { code: "A2", couponId: "c1", issuedAt: iso("2025-09-14T11:00") },
+      { code: "A3", couponId: "c2", issuedAt: iso("2025-09-15T09:00") },
+      { code: "A4", couponId: "c3", issuedAt: iso("2025-08-01T09:00") },
+    ],
+    redemptions: [
+      { code: "A1", couponId: "c1", issuedAt: iso("2025-09-14T10:00"), redeemedAt: iso("2025-09-14T10:30") },
+      { code: "A3", couponId: "c2", issuedAt: iso("2025-09-15T09:00"), redeemedAt: iso("2025-09-16T23:30") },
+      { code: "A4", couponId: "c3", issuedAt: iso("2025-08-01T09:00"), redeemedAt: iso("2025-09-16T00:10") },
+    ],
+  };
+  const sept = analyzeRedemptions(stats, { from: "2025-09-14", to: "2025-09-16" });
+  expect("analytics: redemptions in range", sept.redeemed === 3);
+  expect("analytics: day series zero-filled", sept.byDay.map((d) => d.count).join() === "1,0,2");
+  expect("analytics: hours in Argentina time", sept.byHour[10] === 1 && sept.byHour[23] === 1 && sept.byHour[0] === 1);
+  expect("analytics: conversion of codes issued in range", sept.conversion === 2 / 3);
+  expect("analytics: coupon conversion", sept.coupons.find((c) => c.coupon.id === "c1").conversion === 0.5);
+  expect("analytics: median wait", sept.coupons.find((c) => c.coupon.id === "c1").medianMinutes === 30 && median([1, 3, 10, 20]) === 6.5);
+  expect("analytics: locality comparison", sept.localities.find((l) => l.id === "gesell").redeemed === 2 && sept.localities.find((l) => l.id === "mdlp").redeemed === 1);
+  expect("analytics: merchant scope", analyzeRedemptions(stats, {}, "m2").redeemed === 1);
+  expect("analytics: empty range has no series", analyzeRedemptions(INITIAL_STORE).byDay.length === 0);
+
+  // Test 20: CSV/JSON export and validated import
+  const tricky = [{ id: "x", name: 'Bar "El, Faro"\nCentro', locality: "=HYPERLINK()" }];
+  const csv = toCsv(tricky, ["id", "name", "locality"]);
+  const back = parseCsv(csv);
+  expect("csv round-trips quotes, commas and newlines", back[1][1] === 'Bar "El, Faro"\nCentro');
+  expect("csv guards formulas", back[1][2] === "'=HYPERLINK()" && csvCell(-5) === "-5");
+  expect("csv parses CRLF and BOM", parseCsv("\uFEFFa,b\r\n1,2\r\n").length === 2 && parseCsv("\uFEFFa,b")[0][0] === "a");
+  expect("export filters by merchant", exportRows(stats, "redemptions", { merchantId: "m1" }).map((r) => r.code).join() === "A1");
+  expect("export filters by date", exportRows(stats, "issued", { from: "2025-09-15" }).map((r) => r.code).join() === "A3");
+  expect("export coupons by validity overlap", exportRows(INITIAL_STORE, "coupons", { from: "2025-11-15" }).every((c) => c.endsAt >= "2025-11-15"));
+  const importCsv = [
+    "name,locality,category",
+    "Librería Faro,Mar Azul,Comercios",
+    "Librería Faro,marazul,shops",
+    "Sin lugar,nowhere,food",
+  ].join("\n");
+  const parsedImport = parseImport(importCsv, "merchants");
+  const checked = validateImport(INITIAL_STORE, "merchants", parsedImport.records, parsedImport.firstLine);
+  expect("import resolves names to ids", checked[0].errors.length === 0 && checked[0].item.locality === "marazul");
+  expect("import catches duplicates inside the file", checked[1].errors.length > 0 && checked[1].line === 3);
+  expect("import reports unknown references", checked[2].errors.some((e) => e.message.startsWith("Localidad")));
+  const couponRows = validateImport(INITIAL_STORE, "coupons", parseImport(JSON.stringify([
+    { merchantId: "Heladería Sol Mar", title: "Nuevo", benefit: "2x1", startsAt: "2025-12-01", endsAt: "2026-02-28", maxPerDay: 5 },
+    { merchantId: "m1", title: "Malo", benefit: "", startsAt: "2025-12-01", endsAt: "2025-11-01" },
+    { id: "c1", merchantId: "m1", title: "Editado", benefit: "x", startsAt: "2025-09-01", endsAt: "2025-12-31", status: "paused" },
+  ]), "coupons").records, 1);
+  expect("import coupon defaults to draft", couponRows[0].errors.length === 0 && couponRows[0].item.status === "draft" && couponRows[0].item.maxPerDay === 5);
+  expect("import coupon row errors", couponRows[1].errors.length > 0 && couponRows[1].line === 2);
+  expect("import updates keep status transitions out", couponRows[2].action === "update" && couponRows[2].errors.length === 1);
+  expect("import rejects bad JSON", parseImport("[oops", "coupons").error === "JSON inválido");
+  const seededCaps = INITIAL_STORE.coupons.find((c) => c.id === "c3");
+  const capRows = validateImport(INITIAL_STORE, "coupons", [
+    { id: "c3", merchantId: seededCaps.merchantId, title: seededCaps.title, benefit: seededCaps.benefit, startsAt: seededCaps.startsAt, endsAt: seededCaps.endsAt },
+    { id: "c3", merchantId: seededCaps.merchantId, title: seededCaps.title, benefit: seededCaps.benefit, startsAt: seededCaps.startsAt, endsAt: seededCaps.endsAt, maxRedemptions: "" },
+  ]);
+  expect("import update without cap columns keeps the caps", capRows[0].item.maxRedemptions === seededCaps.maxRedemptions && seededCaps.maxRedemptions != null);
+  expect("import update with an empty cap clears it", capRows[1].item.maxRedemptions === null);
+  const [renamed] = validateImport(INITIAL_STORE, "coupons", [{ id: "c1", merchantId: "m1", title: "Nuevo título" }]);
+  const seededC1 = INITIAL_STORE.coupons.find((c) => c.id === "c1");
+  expect("import update without other columns keeps them", renamed.errors.length === 0 && renamed.item.title === "Nuevo título" && renamed.item.benefit === seededC1.benefit && renamed.item.startsAt === seededC1.startsAt && renamed.item.endsAt === seededC1.endsAt);
+
+  // Test 21: catalog search, sorting and URL filters
+  const catalogAt = (filters) => catalogList(stats, { ...DEFAULT_CATALOG_FILTERS, ...filters }, { now: ar("2025-09-20T12:00") });
+  expect("catalog lists all localities by default", catalogAt({}).length === 3);
+  expect("catalog search ignores accents and case", catalogAt({ query: "HELADERIA" }).map((c) => c.id).join() === "c1");
+  expect("catalog search needs every word", catalogAt({ query: "parrilla 10%" }).length === 1 && catalogAt({ query: "parrilla 2x1" }).length === 0);
+  expect("catalog sorts by ending soon", catalogAt({ sort: "ending" }).map((c) => c.id).join() === "c3,c2,c1");
+  const busier = { ...stats, redemptions: [...stats.redemptions, { code: "A9", couponId: "c2", redeemedAt: iso("2025-09-17T12:00") }] };
+  expect("catalog sorts by popularity", catalogList(busier, { sort: "popular" }, { now: ar("2025-09-20T12:00") })[0].id === "c2");
+  expect("catalog filters by locality", catalogAt({ locality: "mdlp" }).map((c) => c.id).join() === "c2");
+  const search = writeCatalogFilters({ ...DEFAULT_CATALOG_FILTERS, locality: "gesell", query: "2x1 helado" }, "?tab=x");
+  expect("filters written to the URL without defaults", search === "?tab=x&loc=gesell&q=2x1+helado");
+  expect("filters read back from the URL", stableStringify(readCatalogFilters(search)) === stableStringify({ ...DEFAULT_CATALOG_FILTERS, locality: "gesell", query: "2x1 helado" }));
+  expect("unknown sort falls back to default", readCatalogFilters("?sort=evil").sort === DEFAULT_CATALOG_FILTERS.sort);
+  expect("default filters leave the URL clean", writeCatalogFilters(DEFAULT_CATALOG_FILTERS, "?loc=gesell") === "");
+
+  // Test 22: translations and locale-aware formatting
+  const en = translate("en");
+  expect("i18n translates and interpolates", en("Desde {date}", { date: "9/1/25" }) === "From 9/1/25");
+  expect("i18n falls back to Spanish", en("Texto sin traducir") === "Texto sin traducir" && translate("xx")("Turista") === "Turista");
+  expect("i18n schedule summary in English", scheduleSummary(sched, en) === "Mon to Fri 16 to 19 h · except 16/09");
+  const firstOfSept = (lang) => formatters(lang).date("2025-09-01");
+  expect("i18n day keys keep their calendar day", firstOfSept("es") === "1/9/25" && firstOfSept("en") === "9/1/25" && firstOfSept("pt") === "01/09/2025");
+  expect("i18n formatters tolerate missing dates", formatters("es").date(undefined) === "—");
+  const translated = { ...stats, coupons: stats.coupons.map((c) => (c.id === "c1" ? { ...c, i18n: { en: { title: "Ice cream deal", terms: " " } } } : c)) };
+  const c1en = localizeCoupon(translated.coupons.find((c) => c.id === "c1"), "en");
+  expect("i18n coupon uses filled translations only", c1en.title === "Ice cream deal" && c1en.terms === INITIAL_STORE.coupons[0].terms);
+  const inEnglish = (query) => catalogList(translated, { query }, { now: ar("2025-09-20T12:00"), lang: "en" }).map((c) => c.id).join();
+  expect("i18n search matches translated and Spanish text", inEnglish("ice cream") === "c1" && inEnglish(INITIAL_STORE.coupons[0].title) === "c1");
+  const missing = Object.keys(MESSAGES.en).filter((k) => !(k in MESSAGES.pt));
+  expect("i18n catalogs cover the same strings", missing.length === 0 && Object.keys(MESSAGES.pt).length === Object.keys(MESSAGES.en).length);
+  const form = couponToForm({ ...INITIAL_STORE.coupons[0], i18n: { pt: { title: " Sorvete " } } });
+  expect("i18n editor keeps only filled translations", stableStringify(formToCoupon(form).i18n) === stableStringify({ pt: { title: "Sorvete" } }));
+
+  // Test 23: tourist wallet groups and cancellation
+  const walletStore = {
+    ...INITIAL_STORE,
+    issued: [
+      { code: "W1", couponId: "c1", userId: "me", issuedAt: iso("2025-09-10T10:00") },
+      { code: "W2", couponId: "c2", userId: "me", issuedAt: iso("2025-09-11T10:00") },
+      { code: "W3", couponId: "c1", userId: "me", issuedAt: iso("2025-09-12T10:00"), cancelledAt: iso("2025-09-12T11:00") },
+      { code: "W4", couponId: "gone", userId: "me", issuedAt: iso("2025-09-13T10:00") },
+      { code: "W5", couponId: "c1", userId: "other", issuedAt: iso("2025-09-14T10:00") },
+    ],
+    redemptions: [
+      { code: "W2", couponId: "c2", userId: "me", issuedAt: iso("2025-09-11T10:00"), redeemedAt: iso("2025-09-11T12:00") },
+      { code: "W6", couponId: "c3", userId: "me", issuedAt: iso("2025-09-09T10:00"), redeemedAt: iso("2025-09-09T12:00") },
+    ],
+  };
+  const groups = walletEntries(walletStore, "me", ar("2025-09-20T12:00"));
+  const codesOf = (group) => groups[group].map((e) => e.record.code).join();
+  expect("wallet lists only this tourist's codes", !Object.values(groups).flat().some((e) => e.record.code === "W5"));
+  expect("wallet groups valid, redeemed and expired", codesOf("valid") === "W1" && codesOf("redeemed") === "W2,W6" && codesOf("expired") === "W4,W3");
+  expect("wallet says why a code expired", groups.expired.map((e) => e.reason).join() === "Cupón eliminado,Anulado");
+  const later = walletEntries(walletStore, "me", ar(`${addDays(initialCoupons[0].endsAt, 1)}T12:00`));
+  expect("wallet expires codes of ended coupons", later.valid.length === 0 && later.expired.find((e) => e.record.code === "W1").reason === "Cupón vencido");
+  const onHold = (patch) => walletEntries({ ...walletStore, coupons: walletStore.coupons.map((c) => (c.id === "c1" ? { ...c, ...patch } : c)) }, "me", ar("2025-09-20T12:00"));
+  expect("wallet keeps codes of blocked paused coupons valid", onHold({ status: "paused", pauseBlocksIssued: true }).valid[0]?.reason === "Cupón pausado");
+  expect("wallet keeps codes of paused coupons valid", onHold({ status: "paused" }).valid[0]?.reason === null);
+  expect("wallet keeps codes of coupons not started valid", onHold({ startsAt: "2025-10-01" }).valid[0]?.reason === "Cupón aún no vigente");
+  expect("wallet expires codes of archived coupons", onHold({ status: "archived" }).expired.some((e) => e.record.code === "W1" && e.reason === "Cupón archivado"));
+  const cancelledHere = { ...INITIAL_STORE, issued: [{ ...walletStore.issued[0], cancelledAt: iso("2025-09-10T11:00") }] };
+  const signedThere = { ...INITIAL_STORE, issued: [{ ...walletStore.issued[0], token: "tok" }] };
+  const mergedWallet = mergeStores(signedThere, cancelledHere).issued[0];
+  expect("merge keeps a cancellation and the signature", mergedWallet.cancelledAt && mergedWallet.token === "tok");
+
+  // Test 24: time-limited codes
+  const ttlCoupon = { ...INITIAL_STORE.coupons[0], codeTtlHours: 24 };
+  const issuedAt = iso("2025-09-15T10:00");
+  const expiresAt = codeExpiry(ttlCoupon, issuedAt);
+  expect("code TTL counts from issuance", expiresAt === iso("2025-09-16T10:00"));
+  expect("no TTL, no expiry", codeExpiry(INITIAL_STORE.coupons[0], issuedAt) === null);
+  expect("code valid until its expiry", !isCodeExpired({ expiresAt }, ar("2025-09-16T09:59")) && isCodeExpired({ expiresAt }, ar("2025-09-16T10:00")));
+  expect("codes without expiry never expire", !isCodeExpired({ issuedAt }, ar("2030-01-01T00:00")));
+  const ttlWallet = walletEntries(
+    { ...INITIAL_STORE, issued: [{ code: "T1", couponId: "c1", userId: "me", issuedAt, expiresAt }] },
+    "me",
+    ar("2025-09-17T10:00")
+  );
+  expect("wallet moves expired codes out of valid", ttlWallet.valid.length === 0 && ttlWallet.expired[0].reason === "Código vencido");
+  expect("editor rejects a zero TTL", couponFormRefusal({ ...draft, codeTtlHours: 0 })?.ok === false && !couponFormRefusal({ ...draft, codeTtlHours: 24 }));
+  const ttlRow = { id: "c1", merchantId: "m1", title: "x", benefit: "y", startsAt: "2025-09-01", endsAt: "2025-12-31" };
+  const ttlImport = (row) => validateImport({ ...INITIAL_STORE, coupons: [ttlCoupon] }, "coupons", [row])[0].item.codeTtlHours;
+  expect("import without a TTL column keeps the coupon's", ttlImport(ttlRow) === 24 && ttlImport({ ...ttlRow, codeTtlHours: "" }) === null);
+  expect("formatRemaining", formatRemaining(3 * 3600000 + 20 * 60000) === "3 h 20 min" && formatRemaining(1000) === "1 min");
+  expect("formatWait units follow the language", formatWait(2 * 1440, i18nValue("en")) === "2 days" && formatWait(2 * 1440, i18nValue("pt")) === "2 dias");
+
+  // Test 25: voided redemptions
+  const redeemedAt = iso("2025-09-20T10:00");
+  const sold = { code: "V1", couponId: "c1", merchantId: "m1", userId: "me", issuedAt: iso("2025-09-20T09:00"), redeemedAt };
+  const soon = ar("2025-09-20T11:00");
+  expect("void only at the redeeming till", voidRefusal(sold, "m2", soon)?.ok === false && voidRefusal(sold, "m1", soon) === null);
+  expect("void only recent redemptions", voidRefusal(sold, "m1", ar("2025-09-21T10:01"))?.ok === false);
+  expect("void waits for sync", voidRefusal({ ...sold, syncStatus: "pending" }, "m1", soon)?.ok === false);
+  expect("void needs who and why", voidFormRefusal({ by: "Ana", reason: " " })?.ok === false && !voidFormRefusal({ by: "Ana", reason: "x" }));
+  const kept = voidRedemptionRecord(sold, { by: " Ana ", reason: "Se equivocó de cupón", restore: false }, { role: "merchant", merchantId: "m1" }, soon);
+  expect("void audit says who, what and when", kept.entry.voidedBy === "Ana" && kept.entry.code === "V1" && kept.entry.voidedAt === soon.toISOString());
+  expect("void audit records the session", kept.entry.sessionRole === "merchant" && kept.entry.sessionMerchantId === "m1");
+  expect("voided redemption cannot be voided twice", voidRefusal(kept.redemption, "m1", soon)?.ok === false);
+  const voidedStore = { ...INITIAL_STORE, issued: [sold], redemptions: [kept.redemption], voids: [kept.entry] };
+  expect("voided redemptions leave metrics", analyzeRedemptions(voidedStore, {}).redeemed === 0 && couponStock({ id: "c1", maxRedemptions: 1 }, voidedStore.redemptions).total === 1);
+  expect("wallet: void without restore burns the code", walletEntries(voidedStore, "me", soon).expired[0]?.reason === "Canje anulado");
+  const restoredStore = { ...voidedStore, redemptions: [{ ...kept.redemption, restored: true }] };
+  expect("wallet: restored code is valid again", walletEntries(restoredStore, "me", soon).valid[0]?.record.code === "V1");
+  const redeemedAgain = { ...sold, redeemedAt: iso("2025-09-20T12:00") };
+  expect("merge: void beats the redemption it voided", pickRedemption(sold, kept.redemption).voidedAt);
+  expect("merge: later redemption beats the void", pickRedemption(restoredStore.redemptions[0], redeemedAgain) === redeemedAgain);
+  expect("merge keeps every void entry", mergeStores({ ...INITIAL_STORE, voids: [kept.entry] }, { ...INITIAL_STORE, voids: [{ ...kept.entry, id: "other" }] }).voids.length === 2);
+
+  // Test 26: roles and sessions
+  const opened = ar("2025-09-20T10:00");
+  const adminCred = initialCredentials.find((c) => c.id === "admin");
+  const adminSession = { role: "admin", merchantId: null, credentialAt: adminCred.updatedAt, expiresAt: idleUntil(opened) };
+  expect("session valid while active", sessionValid(adminSession, initialCredentials, ar("2025-09-20T10:14")));
+  expect("session ends when idle", !sessionValid(adminSession, initialCredentials, ar("2025-09-20T10:15")));
+  const changed = [{ ...adminCred, updatedAt: iso("2025-09-20T10:05") }];
+  expect("session ends when its credential changes", !sessionValid(adminSession, changed, ar("2025-09-20T10:06")));
+  const tillSession = { role: "merchant", merchantId: "m1", credentialAt: initialCredentials[1].updatedAt, expiresAt: idleUntil(opened) };
+  expect("merchant session needs its own PIN", sessionValid(tillSession, initialCredentials, opened) && !sessionValid({ ...tillSession, merchantId: "m9" }, initialCredentials, opened));
+  expect("roles guard views", canAccess(tillSession, "merchant") && !canAccess(tillSession, "admin") && canAccess(adminSession, "merchant") && canAccess(null, "tourist") && !canAccess(null, "merchant"));
+  expect("PIN and password rules", secretRefusal("merchant", "12a4")?.ok === false && !secretRefusal("merchant", "0042") && secretRefusal("admin", "short")?.ok === false);
+  expect("merge keeps the newest credential", mergeStores({ ...INITIAL_STORE, credentials: [adminCred] }, { ...INITIAL_STORE, credentials: changed }).credentials.find((c) => c.id === "admin").updatedAt === changed[0].updatedAt);
+
+  // Test 27: brute-force lockout and suspicious bursts
+  // n failures one minute apart, the last one at 10:59
+  const fails = (n, terminalId, merchantId = "m1") =>
+    Array.from({ length: n }, (_, i) => ({ id: `${terminalId}-${i}`, code: "X", reason: "not_found", terminalId, merchantId, at: iso(`2025-09-20T10:${String(60 - n + i).padStart(2, "0")}`) }));
+  expect("4 failures do not lock", !lockout(fails(4, "T1"), "T1", "m1", ar("2025-09-20T10:59")));
+  const lock = lockout(fails(5, "T1"), "T1", "m1", ar("2025-09-20T10:59"));
+  expect("5 failures lock the terminal for a minute", lock?.scope === "terminal" && lock.until.getTime() === ar("2025-09-20T11:00").getTime());
+  expect("the lock expires", !lockout(fails(5, "T1"), "T1", "m1", ar("2025-09-20T11:00")));
+  expect("more failures lock longer", lockout(fails(8, "T1"), "T1", "m1", ar("2025-09-20T11:03"))?.scope === "terminal" && !!lockout(fails(12, "T1"), "T1", "m1", ar("2025-09-20T11:28")));
+  expect("old failures do not count", !lockout(fails(5, "T1"), "T1", "m1", ar("2025-09-20T12:30")));
+  const spread = [...fails(4, "T1"), ...fails(4, "T2"), ...fails(4, "T3"), ...fails(3, "T4")];
+  expect("merchant locks at 3x the terminal count", lockout(spread, "T5", "m1", ar("2025-09-20T10:59"))?.scope === "merchant" && !lockout(spread, "T5", "m2", ar("2025-09-20T10:59")));
+  expect("lockout refusal says how long", said(lockoutRefusal(lock, ar("2025-09-20T10:59"))).endsWith("en 1 min"));
+  const bursts = suspiciousBursts([...fails(9, "T1"), ...fails(4, "T2")]);
+  expect("burst flagged per terminal", bursts.length === 1 && bursts[0].terminalId === "T1" && bursts[0].count === 9);
+  const sparse = fails(9, "T1").map((a, i) => ({ ...a, at: new Date(Date.parse(a.at) + i * 120000).toISOString() }));
+  expect("sparse failures are not a burst", suspiciousBursts(sparse).length === 0);
+  expect("burst spans its whole run", suspiciousBursts(fails(20, "T1"))[0]?.count === 20);
+  const logins = fails(5, "T1").map((a) => ({ ...a, reason: LOGIN_REASON, code: credentialId("merchant", "m1") }));
+  expect("failed logins lock that PIN on that terminal", loginLockout(logins, "T1", "merchant", "m1", ar("2025-09-20T10:59"))?.scope === "login" && !loginLockout(logins, "T1", "merchant", "m2", ar("2025-09-20T10:59")));
+  expect("failed logins elsewhere don't lock the owner out", !loginLockout(logins, "T2", "merchant", "m1", ar("2025-09-20T10:59")));
+  expect("failed logins don't lock the till", !lockout(logins, "T1", "m1", ar("2025-09-20T10:59")));
+  expect("login bursts are listed apart", suspiciousBursts([...fails(8, "T1"), ...fails(8, "T1").map((a) => ({ ...a, id: `l${a.id}`, reason: LOGIN_REASON }))]).filter((b) => b.login).length === 1);
+  expect("merge keeps attempts from every tab", mergeStores({ ...INITIAL_STORE, attempts: fails(40, "T1") }, { ...INITIAL_STORE, attempts: fails(40, "T1").map((a) => ({ ...a, id: `o${a.id}` })) }).attempts.length === 80);
+
   return results;
 }
 
@@ -653,43 +5700,211 @@ function makeMiniStore() {
   const state = {
     issued: [],
     redemptions: [],
-    coupons: [{ id: "c1", merchantId: "m1" }],
+    coupons: [
+      { id: "c1", merchantId: "m1" },
+      { id: "c2", merchantId: "m1", endsAt: "2000-01-01" },
+      { id: "c3", merchantId: "m1" },
+      { id: "c4", merchantId: "m1", status: "active" },
+      { id: "c4b", merchantId: "m1", status: "active" },
+      { id: "c5", merchantId: "m2" },
+    ],
   };
   const existing = new Set();
+  const findCoupon = (couponId) => state.coupons.find((c) => c.id === couponId);
 
   return {
     issue(couponId) {
+      if (!findCoupon(couponId)) return { ok: false, message: "Cupón no encontrado" };
+      const refused = couponRefusal(findCoupon(couponId), "issue");
+      if (refused) return refused;
       const already = state.issued.find((r) => r.couponId === couponId && !state.redemptions.find((x) => x.code === r.code));
-      if (already) return already;
+      if (already) return { ok: true, record: already, reused: true };
       const code = generateCode(existing);
       existing.add(code);
       const rec = { code, couponId, issuedAt: new Date().toISOString() };
       state.issued.unshift(rec);
-      return rec;
+      return { ok: true, record: rec, reused: false };
+    },
+    update(couponId, patch) {
+      state.coupons = state.coupons.map((c) => (c.id === couponId ? { ...c, ...patch } : c));
     },
-    redeem(code) {
-      const body = code.slice(0, -1);
-      const check = code.slice(-1);
-      if (!body || checksum36(body) !== check) return { ok: false, message: "Código inválido (checksum)" };
+    redeem(code, merchantId) {
+      if (!isValidCheck(code)) return { ok: false, message: "Código inválido (checksum)" };
       const issuedRecord = [...state.issued, ...state.redemptions].find((r) => r.code === code);
       const already = state.redemptions.find((r) => r.code === code && r.redeemedAt);
       if (!issuedRecord) return { ok: false, message: "Código no encontrado" };
+      if (merchantId && findCoupon(issuedRecord.couponId).merchantId !== merchantId) {
+        return { ok: false, message: "El código es de otro comercio" };
+      }
       if (already) return { ok: false, message: "Código ya canjeado" };
+      const refused = couponRefusal(findCoupon(issuedRecord.couponId), "redeem");
+      if (refused) return refused;
       state.redemptions.unshift({ ...issuedRecord, redeemedAt: new Date().toISOString() });
       return { ok: true, message: "Canje registrado" };
     },
   };
 }
 
+// WebCrypto is async: signed-code tests report after the synchronous ones
+async function runCryptoTests() {
+  const results = [];
+  const expect = (name, cond) => results.push({ name, ok: !!cond });
+
+  // Test C1: sign & verify an issuance offline with only the public key
+  let keys;
+  try {
+    keys = await createSigningKeys();
+  } catch {
+    expect("Ed25519 available in this browser", false);
+    return results;
+  }
+  const record = { code: "L1A2B3C4DZ", couponId: "c1", issuedAt: "2025-09-15T12:00:00.000Z", userId: "u1" };
+  const coupon = { id: "c1", merchantId: "m1", endsAt: "2025-12-31" };
+  const token = await signIssuance(record, coupon, keys.privateJwk);
+  const when = new Date("2025-09-20T12:00:00Z");
+  const ok = await verifyToken(token, keys.publicKey, when);
+  expect("token starts with version prefix", token.startsWith(TOKEN_PREFIX));
+  expect("token verifies with public key", ok.ok && ok.payload.k === record.code && ok.payload.m === "m1");
+
+  // Test C2: tampering, wrong key and expiry are rejected
+  const [body, sig] = token.slice(TOKEN_PREFIX.length).split(".");
+  const forged = b64url(new TextEncoder().encode(JSON.stringify({ ...ok.payload, c: "c2" })));
+  expect("tampered payload rejected", !(await verifyToken(`${TOKEN_PREFIX}${forged}.${sig}`, keys.publicKey, when)).ok);
+  const other = await createSigningKeys();
+  expect("other issuer key rejected", !(await verifyToken(token, other.publicKey, when)).ok);
+  expect("garbage rejected", !(await verifyToken(`${TOKEN_PREFIX}${body}`, keys.publicKey, when)).ok);
+  const late = await verifyToken(token, keys.publicKey, new Date("2026-01-02T12:00:00Z"));
+  expect("expired token rejected", late.message === "Cupón vencido");
+  expect("token QR parses as foreign for plain-code path", parseScannedCode(token) === null);
+  const shortLived = await signIssuance({ ...record, expiresAt: "2025-09-16T12:00:00.000Z" }, coupon, keys.privateJwk);
+  const stale = await verifyToken(shortLived, keys.publicKey, when);
+  expect("token past its code TTL rejected", stale.message === CODE_EXPIRED.message);
+  // Test C3: hashed credentials
+  const pin = await hashSecret("4321", undefined, 1000);
+  expect("secret hash is salted", pin.salt !== (await hashSecret("4321", undefined, 1000)).salt);
+  expect("right PIN verifies, wrong one doesn't", (await verifySecret("4321", pin)) && !(await verifySecret("4320", pin)));
+  const seeded = (id) => initialCredentials.find((c) => c.id === id);
+  expect("demo credentials verify", (await verifySecret("admin1234", seeded("admin"))) && (await verifySecret("1234", seeded("merchant:m2"))));
+  expect("token within its code TTL verifies", (await verifyToken(shortLived, keys.publicKey, new Date("2025-09-16T11:00:00Z"))).ok);
+
+  return results;
+}
+
+// Both repository adapters against the same expectations; HTTP runs on the mock /api.
+// The mock is dev-only, so it is loaded here and production builds skip these tests.
+async function runRepositoryTests() {
+  if (!import.meta.env.DEV) return [];
+  const { createMockApi } = await import("./mockApi.js");
+  const results = [];
+  const expect = (name, cond) => results.push({ name, ok: !!cond });
+  const rejection = (promise) => promise.then(() => null, (err) => err);
+
+  const api = createMockApi();
+  const adapters = [
+    ["local", createLocalRepository(memStorage())],
+    ["http", createHttpRepository("/api", api.fetch)],
+  ];
+  for (const [name, repo] of adapters) {
+    const coupon = { id: "cx", merchantId: "m1", title: "Test" };
+    await repo.saveCoupon(coupon);
+    await repo.saveCoupon({ ...coupon, title: "Test 2" });
+    const issued = { code: "L1A2B3C4DZ", couponId: "cx", issuedAt: "2025-09-15T12:00:00.000Z" };
+    const signed = await repo.saveIssuance(issued);
+    const red = { ...issued, redeemedAt: "2025-09-15T13:00:00.000Z" };
+    await repo.saveRedemption(red);
+    const loaded = await repo.load();
+    expect(`${name} repo: saved issuance signed with the issuer key it loads`, signed.token && (await verifyToken(signed.token, loaded.issuerKey)).ok);
+    expect(`${name} repo: saved coupon upserts`, loaded.coupons.filter((c) => c.id === "cx").length === 1);
+    expect(`${name} repo: coupon update kept`, loaded.coupons.find((c) => c.id === "cx").title === "Test 2");
+    expect(`${name} repo: issuance loads`, loaded.issued.some((r) => r.code === issued.code));
+    await repo.saveLocality({ id: "pinamar", name: "Pinamar" });
+    await repo.saveCategory({ id: "spa", name: "Spa" });
+    const directory = await repo.load();
+    expect(`${name} repo: directory entries load`, directory.localities.some((l) => l.id === "pinamar") && directory.categories.some((c) => c.id === "spa"));
+    const dup = await rejection(repo.saveRedemption({ ...red, redeemedAt: "2025-09-15T14:00:00.000Z" }));
+    expect(`${name} repo: double redemption is a conflict`, dup?.conflict && dup.existing?.redeemedAt === red.redeemedAt);
+    const { redemption: voided, entry } = voidRedemptionRecord(red, { by: "Ana", reason: "Código equivocado", restore: true }, { role: "admin" });
+    await repo.updateRedemption(voided);
+    await repo.saveVoid(entry);
+    expect(`${name} repo: void entries are append-only`, (await rejection(repo.saveVoid({ ...entry, reason: "otro" })))?.conflict);
+    const again = { ...red, redeemedAt: "2025-09-15T15:00:00.000Z" };
+    await repo.saveRedemption(again);
+    const audited = await repo.load();
+    expect(
+      `${name} repo: restored code redeems again, audit kept`,
+      audited.redemptions.find((r) => r.code === red.code).redeemedAt === again.redeemedAt && audited.voids[0]?.reason === "Código equivocado"
+    );
+  }
+
+  // One issuer: the backend signs and hands out only its public key. A token signed with
+  // another key pair (one an older tourist device made for itself) doesn't verify at a
+  // till that has just the issuer's key; the till falls back to the short code inside.
+  const issuer = await createSigningKeys();
+  const issuerApi = createMockApi({ issuer, coupons: [{ id: "c1", merchantId: "m1", endsAt: "2099-12-31" }] });
+  const issuerRepo = createHttpRepository("/api", issuerApi.fetch);
+  const device = await createSigningKeys();
+  const issuance = { code: "L1A2B3C4DZ", couponId: "c1", issuedAt: "2025-09-15T12:00:00.000Z", userId: "u1" };
+  const selfSigned = await signIssuance(issuance, { merchantId: "m1", endsAt: "2099-12-31" }, device.privateJwk);
+  const stored = await issuerRepo.saveIssuance({ ...issuance, token: selfSigned });
+  const tillData = await issuerRepo.load();
+  expect("http repo: load hands out the issuer's public key only", tillData.issuerKey === issuer.publicKey && !JSON.stringify(tillData).includes(issuer.privateJwk.d));
+  expect("backend signs the issuance, ignoring a sent token", stored.token !== selfSigned && (await verifyToken(stored.token, tillData.issuerKey)).ok);
+  const foreign = await verifyToken(selfSigned, tillData.issuerKey);
+  expect("till with the issuer key rejects a second key pair's token", !foreign.ok && foreign.badSignature);
+  expect("rejected token falls back to its short code", tokenCode(selfSigned) === issuance.code);
+
+  // Offline queue: replay in order, stop while offline, flag other tills' redemptions
+  const queueApi = createMockApi({ redemptions: [{ code: "Q2", couponId: "c1", redeemedAt: "2025-09-15T12:00:00.000Z", merchantId: "m9" }] });
+  const queueRepo = createHttpRepository("/api", queueApi.fetch);
+  const queue = [
+    { code: "Q1", couponId: "c1", redeemedAt: "2025-09-15T12:05:00.000Z", syncStatus: "pending" },
+    { code: "Q2", couponId: "c1", redeemedAt: "2025-09-15T12:06:00.000Z", syncStatus: "pending" },
+  ];
+  queueApi.down = true;
+  expect("replay offline leaves queue pending", (await replayRedemptions(queue, queueRepo)).length === 0);
+  queueApi.down = false;
+  const outcomes = await replayRedemptions(queue, queueRepo);
+  expect("replay syncs queued redemption", outcomes[0]?.outcome === "synced" && queueApi.db.redemptions.some((r) => r.code === "Q1" && !r.syncStatus));
+  expect("replay detects conflict at another till", outcomes[1]?.outcome === "conflict" && outcomes[1].existing.merchantId === "m9");
+  const applied = applyReplay(queue, outcomes);
+  expect("applyReplay clears synced and keeps conflict", !applied[0].syncStatus && applied[1].syncStatus === "conflict");
+  expect("replay again is idempotent", (await replayRedemptions([queue[0]], queueRepo))[0].outcome === "synced");
+  const serverCopy = { code: "Q3", redeemedAt: "2025-09-15T12:00:00.000Z" };
+  const queuedCopy = { code: "Q3", redeemedAt: "2025-09-15T12:09:00.000Z", syncStatus: "pending" };
+  expect("merge turns pending vs synced into conflict", pickRedemption(serverCopy, queuedCopy).syncStatus === "conflict");
+  expect("merge drops pending once synced", !pickRedemption(serverCopy, { ...serverCopy, syncStatus: "pending" }).syncStatus);
+
+  api.down = true;
+  const offline = await rejection(createHttpRepository("/api", api.fetch).load());
+  expect("http repo: unreachable backend flagged offline", offline?.offline === true);
+  api.down = false;
+  const bad = await rejection(createHttpRepository("/api", api.fetch).saveCoupon({ title: "sin id" }));
+  expect("http repo: server errors carry status", bad?.status === 405 || bad?.status === 400);
+
+  return results;
+}
+
 function TestPanel() {
-  const [results] = useState(() => runTests());
+  const { t } = useI18n();
+  const [syncResults] = useState(() => runTests());
+  const [asyncResults, setAsyncResults] = useState([]);
+  const results = [...syncResults, ...asyncResults];
+
+  useEffect(() => {
+    let cancelled = false;
+    Promise.all([runCryptoTests(), runRepositoryTests()]).then((r) => !cancelled && setAsyncResults(r.flat()));
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
   const passed = results.filter((r) => r.ok).length;
   const total = results.length;
 
   return (
     <Card>
-      <SectionTitle>Tests automáticos</SectionTitle>
-      <div className="text-sm text-gray-600 mb-2">{passed}/{total} tests OK</div>
+      <SectionTitle>{t("Tests automáticos")}</SectionTitle>
+      <div className="text-sm text-gray-600 mb-2">{t("{passed}/{total} tests OK", { passed, total })}</div>
       <ul className="text-sm">
         {results.map((r) => (
           <li key={r.name} className={r.ok ? "text-green-700" : "text-red-700"}>
@@ -702,76 +5917,186 @@ function TestPanel() {
 }
 
 // === App Shell =================================================================
+// What the demo covers, listed on every screen for whoever presents it
+const FEATURES = [
+  "Explorar cupones por localidad/rubro, con búsqueda y orden",
+  "Emisión con QR/código único (con checksum)",
+  "Reutiliza código si ya fue emitido y no canjeado",
+  "Mis cupones: vigentes, canjeados y vencidos; reabrir el QR o anular un código",
+  "Códigos con vencimiento opcional (horas desde la emisión)",
+  "Canje manual (demo) con validación",
+  "Anulación de canjes recientes con motivo y registro de auditoría",
+  "Acceso por rol: PIN por comercio y contraseña de admin (con hash), sesiones con vencimiento",
+  "Bloqueo progresivo ante códigos inválidos repetidos y alerta de ráfagas en Admin",
+  "Métricas básicas por cupón/comercio",
+  "Alta y edición de cupones (admin)",
+  "Links directos a cupones (afiche con QR) y comercios",
+  "Pantallas en español, inglés y portugués",
+  "Persistencia en localStorage",
+  "Tests automáticos en runtime",
+];
+
+function LoadReportBanner({ report, onDismiss }) {
+  const { t } = useI18n();
+  const download = () => {
+    const raw = localStorage.getItem(report.backupKey);
+    const url = URL.createObjectURL(new Blob([raw], { type: "application/json" }));
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `${report.backupKey}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="rounded-2xl border border-amber-300 bg-amber-50 p-4 text-sm text-amber-900">
+      <div className="font-semibold">
+        {t(report.message, report.vars)}. {t("Se empezó con los datos de demo.")}
+      </div>
+      {report.backupKey && (
+        <div className="mt-1">
+          {richText(t, "Copia de respaldo en {key}.", { key: <span className="font-mono">{report.backupKey}</span> })}
+        </div>
+      )}
+      {report.errors.length > 0 && (
+        <ul className="mt-2 list-disc pl-5 text-xs">
+          {report.errors.slice(0, 5).map((e) => (
+            <li key={e}>{e}</li>
+          ))}
+          {report.errors.length > 5 && <li>{t("y {n} más…", { n: report.errors.length - 5 })}</li>}
+        </ul>
+      )}
+      <div className="flex gap-2 mt-3">
+        {report.backupKey && <SecondaryButton onClick={download}>{t("Descargar copia")}</SecondaryButton>}
+        <SecondaryButton onClick={onDismiss}>{t("Cerrar")}</SecondaryButton>
+      </div>
+    </div>
+  );
+}
+
 export default function App() {
+  return (
+    <I18nProvider>
+      <AppShell />
+    </I18nProvider>
+  );
+}
+
+function AppShell() {
   const store = useDemoStore();
-  const [tab, setTab] = useState("tourist");
+  const access = useSession(store);
+  const { t } = useI18n();
+  const { session } = access;
+  const guard = (role, view) => (
+    <RequireRole store={store} access={access} role={role}>
+      {view}
+    </RequireRole>
+  );
+  const navClass = ({ isActive }) =>
+    "px-3 py-2 rounded-xl shadow-sm border text-sm font-medium bg-white text-gray-900 border-gray-300 hover:bg-gray-50 " +
+    (isActive ? "ring-2 ring-black" : "");
 
   return (
     <div className="min-h-screen bg-gray-50">
-      <header className="sticky top-0 z-10 bg-white/90 backdrop-blur border-b">
+      <header className="sticky top-0 z-10 bg-white/90 backdrop-blur border-b print:hidden">
         <div className="max-w-6xl mx-auto px-4 py-3 flex items-center justify-between">
           <div className="flex items-center gap-3">
             <div className="w-9 h-9 rounded-2xl bg-black text-white grid place-items-center font-bold">CT</div>
             <div>
-              <div className="font-semibold text-gray-900">Cuponera Turística — MVP Mock</div>
-              <div className="text-xs text-gray-500">Demo funcional (web) • Códigos con checksum • Persistencia local • Tests</div>
+              <div className="font-semibold text-gray-900">{t("Cuponera Turística — MVP Mock")}</div>
+              <div className="text-xs text-gray-500">{t("Demo funcional (web) • Códigos con checksum • Persistencia local • Tests")}</div>
             </div>
           </div>
           <nav className="flex gap-2">
-            <SecondaryButton className={tab === "tourist" ? "ring-2 ring-black" : ""} onClick={() => setTab("tourist")}>
-              Turista
-            </SecondaryButton>
-            <SecondaryButton className={tab === "merchant" ? "ring-2 ring-black" : ""} onClick={() => setTab("merchant")}>
-              Comercio
-            </SecondaryButton>
-            <SecondaryButton className={tab === "admin" ? "ring-2 ring-black" : ""} onClick={() => setTab("admin")}>
-              Admin
-            </SecondaryButton>
+            <NavLink to="/turista" className={navClass}>
+              {t("Turista")}
+            </NavLink>
+            <NavLink to="/comercio/canjear" className={navClass}>
+              {t("Comercio")}
+            </NavLink>
+            <NavLink to="/admin" className={navClass}>
+              {t("Admin")}
+            </NavLink>
+            <LanguageSwitcher />
+            {session && (
+              <SecondaryButton onClick={access.logout} title={store.merchants.find((m) => m.id === session.merchantId)?.name}>
+                {t("Salir")} ({t(ROLE_LABELS[session.role])})
+              </SecondaryButton>
+            )}
           </nav>
         </div>
       </header>
 
       <main className="max-w-6xl mx-auto px-4 py-6 space-y-6">
-        <Card>
-          <div className="grid md:grid-cols-3 gap-3">
-            <div>
-              <div className="text-sm text-gray-600">Flujos incluidos</div>
-              <ul className="list-disc pl-5 text-sm text-gray-800">
-                <li>Explorar cupones por localidad/rubro</li>
-                <li>Emisión con QR/código único (con checksum)</li>
-                <li>Reutiliza código si ya fue emitido y no canjeado</li>
-                <li>Canje manual (demo) con validación</li>
-                <li>Métricas básicas por cupón/comercio</li>
-                <li>Alta rápida de cupones (admin)</li>
-                <li>Persistencia en localStorage</li>
-                <li>Tests automáticos en runtime</li>
-              </ul>
-            </div>
-            <div className="md:col-span-2">
-              <div className="text-sm text-gray-600">Cómo presentar la demo</div>
-              <ol className="list-decimal pl-5 text-sm text-gray-800 space-y-1">
-                <li>
-                  En <b>Turista</b>, generá un código y mostralo.
-                </li>
-                <li>
-                  En <b>Comercio → Canjear</b>, ingresá ese código (incluida la letra final).
-                </li>
-                <li>
-                  Repetí para ver <b>Métricas</b> subir; en <b>Admin</b> creá otro cupón al vuelo.
-                </li>
-              </ol>
+        {store.loadReport && <LoadReportBanner report={store.loadReport} onDismiss={store.dismissLoadReport} />}
+
+        <div className="print:hidden">
+          <Card>
+            <div className="grid md:grid-cols-3 gap-3">
+              <div>
+                <div className="text-sm text-gray-600">{t("Flujos incluidos")}</div>
+                <ul className="list-disc pl-5 text-sm text-gray-800">
+                  {FEATURES.map((f) => (
+                    <li key={f}>{t(f)}</li>
+                  ))}
+                </ul>
+              </div>
+              <div className="md:col-span-2">
+                <div className="text-sm text-gray-600">{t("Cómo presentar la demo")}</div>
+                <ol className="list-decimal pl-5 text-sm text-gray-800 space-y-1">
+                  <li>{richText(t, "En {tourist}, generá un código y mostralo.", { tourist: <b>{t("Turista")}</b> })}</li>
+                  <li>
+                    {richText(t, "En {till} (con el PIN del comercio), ingresá ese código (incluida la letra final).", {
+                      till: <b>{`${t("Comercio")} → ${t("Canjear")}`}</b>,
+                    })}
+                  </li>
+                  <li>
+                    {richText(t, "Repetí para ver {metrics} subir; en {admin} creá otro cupón al vuelo.", {
+                      metrics: <b>{t("Métricas")}</b>,
+                      admin: <b>{t("Admin")}</b>,
+                    })}
+                  </li>
+                </ol>
+              </div>
             </div>
-          </div>
-        </Card>
+          </Card>
+        </div>
 
-        {tab === "tourist" && <TouristView store={store} />}
-        {tab === "merchant" && <MerchantView store={store} />}
-        {tab === "admin" && <AdminView store={store} />}
+        <Routes>
+          <Route path="/" element={<Navigate to="/turista" replace />} />
+          <Route path="/turista" element={<TouristView store={store} />} />
+          <Route path="/cupon/:couponId" element={<CouponPage store={store} />} />
+          <Route path="/comercio" element={<Navigate to="/comercio/canjear" replace />} />
+          {Object.entries(MERCHANT_TABS).map(([tab, path]) => (
+            <Route
+              key={tab}
+              path={`/comercio/${path}`}
+              element={guard("merchant", <MerchantView store={store} access={access} tab={tab} />)}
+            />
+          ))}
+          <Route path="/comercio/:merchantId" element={<MerchantPage store={store} />} />
+          <Route path="/admin" element={guard("admin", <AdminView store={store} access={access} />)} />
+          <Route
+            path="*"
+            element={
+              <Card>
+                <SectionTitle>{t("Página no encontrada")}</SectionTitle>
+                <Link to="/turista" className="text-sm underline">
+                  {t("Ir a los cupones")}
+                </Link>
+              </Card>
+            }
+          />
+        </Routes>
 
-        <TestPanel />
+        <div className="print:hidden">
+          <TestPanel />
+        </div>
       </main>
 
-      <footer className="py-10 text-center text-xs text-gray-400">MVP Mock — React + Tailwind + uuid + qrcode.react</footer>
+      <footer className="py-10 text-center text-xs text-gray-400 print:hidden">
+        MVP Mock — React + React Router + Tailwind + uuid + qrcode.react + jsQR
+      </footer>
     </div>
   );
 }
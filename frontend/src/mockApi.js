@@ -0,0 +1,85 @@
+// In-memory stand-in for the /api backend. The HTTP repository tests use it as a fetch
+// implementation; `npm run mock-api` serves it over HTTP for `vite` dev (see mock-api.mjs).
+// Paths are the ones the backend sees behind nginx, which strips the /api prefix.
+// The backend owns the issuer key: it signs every issuance it stores and only ever hands
+// out the public half (GET /issuer), so no client holds a private key.
+import { createSigningKeys, signIssuance } from "./signing.js";
+
+const COLLECTIONS = {
+  localities: "id",
+  categories: "id",
+  merchants: "id",
+  coupons: "id",
+  issuances: "code",
+  redemptions: "code",
+  voids: "id",
+  attempts: "id",
+};
+
+// seed.issuer: a { privateJwk, publicKey } pair to sign with; otherwise one is made on first use
+export function createMockApi(seed = {}) {
+  const db = Object.fromEntries(Object.keys(COLLECTIONS).map((name) => [name, [...(seed[name] || [])]]));
+  const api = { db, down: false };
+  let issuer = seed.issuer ? Promise.resolve(seed.issuer) : null;
+  const issuerKeys = () => (issuer ??= createSigningKeys());
+
+  // A code keeps the token it was first signed with; whatever token the client sent is ignored
+  const signed = async (record) => {
+    const rest = { ...record };
+    delete rest.token;
+    const token = db.issuances.find((r) => r.code === record.code)?.token;
+    const coupon = db.coupons.find((c) => c.id === record.couponId);
+    if (token) return { ...rest, token };
+    if (!coupon) return rest;
+    return { ...rest, token: await signIssuance(rest, coupon, (await issuerKeys()).privateJwk) };
+  };
+
+  const upsert = (name, item) => {
+    const key = COLLECTIONS[name];
+    db[name] = [item, ...db[name].filter((x) => x[key] !== item[key])];
+    return item;
+  };
+
+  // -> Promise of { status, body }
+  api.handle = async (method, path, body) => {
+    const [, name, id] = path.replace(/^\/api/, "").split("/");
+    if (method === "GET" && name === "issuer" && !id) return { status: 200, body: { publicKey: (await issuerKeys()).publicKey } };
+    if (!(name in COLLECTIONS)) return { status: 404, body: { error: "not_found" } };
+    const key = COLLECTIONS[name];
+
+    if (method === "GET" && !id) return { status: 200, body: db[name] };
+    if (method === "GET") {
+      const item = db[name].find((x) => x[key] === decodeURIComponent(id));
+      return item ? { status: 200, body: item } : { status: 404, body: { error: "not_found" } };
+    }
+    if (!body || typeof body !== "object" || !body[key]) return { status: 400, body: { error: `missing ${key}` } };
+    if (method === "PUT" && name !== "voids" && id === encodeURIComponent(body[key])) {
+      return { status: 200, body: upsert(name, name === "issuances" ? await signed(body) : body) };
+    }
+    if (method === "POST" && !id) {
+      // The server is the source of truth for double spending; a voided redemption whose
+      // code was restored can be replaced
+      const existing = name === "redemptions" && db.redemptions.find((r) => r.code === body.code);
+      if (existing && !(existing.voidedAt && existing.restored)) {
+        return { status: 409, body: { error: "already_redeemed", redemption: existing } };
+      }
+      // Void audit entries are append-only (no PUT either)
+      if (name === "voids" && db.voids.some((v) => v.id === body.id)) return { status: 409, body: { error: "already_exists" } };
+      return { status: 201, body: upsert(name, body) };
+    }
+    return { status: 405, body: { error: "method_not_allowed" } };
+  };
+
+  // fetch-compatible; api.down = true simulates an unreachable backend
+  api.fetch = async (url, init = {}) => {
+    if (api.down) throw new TypeError("Failed to fetch");
+    const { pathname } = new URL(url, "http://mock.local");
+    const out = await api.handle(init.method || "GET", pathname, init.body ? JSON.parse(init.body) : undefined);
+    return new Response(JSON.stringify(out.body), {
+      status: out.status,
+      headers: { "Content-Type": "application/json" },
+    });
+  };
+
+  return api;
+}
@@ -0,0 +1,40 @@
+// Issuer side of the signed QR codes (see "Signed codes" in App.jsx). Signing belongs to
+// the repository: the /api backend, or the local repository when one browser is the whole
+// demo. The app imports the token format to verify, and the signing half only in tests.
+
+export const TOKEN_PREFIX = "CT1.";
+export const SIGN_ALG = { name: "Ed25519" };
+
+export const b64url = (bytes) =>
+  btoa(String.fromCharCode(...new Uint8Array(bytes)))
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+export const fromB64url = (str) =>
+  Uint8Array.from(atob(str.replace(/-/g, "+").replace(/_/g, "/")), (c) => c.charCodeAt(0));
+
+// -> { privateJwk, publicKey } where publicKey is the raw key in base64url (43 chars, easy to copy)
+export async function createSigningKeys() {
+  const pair = await crypto.subtle.generateKey(SIGN_ALG, true, ["sign", "verify"]);
+  return {
+    privateJwk: await crypto.subtle.exportKey("jwk", pair.privateKey),
+    publicKey: b64url(await crypto.subtle.exportKey("raw", pair.publicKey)),
+  };
+}
+
+export async function signIssuance(record, coupon, privateJwk) {
+  const payload = {
+    c: record.couponId,
+    m: coupon.merchantId,
+    u: record.userId,
+    k: record.code,
+    t: record.issuedAt,
+    e: coupon.endsAt,
+    ...(record.expiresAt ? { x: record.expiresAt } : {}),
+    n: b64url(crypto.getRandomValues(new Uint8Array(6))),
+  };
+  const key = await crypto.subtle.importKey("jwk", privateJwk, SIGN_ALG, false, ["sign"]);
+  const body = b64url(new TextEncoder().encode(JSON.stringify(payload)));
+  const signature = await crypto.subtle.sign(SIGN_ALG, key, new TextEncoder().encode(body));
+  return `${TOKEN_PREFIX}${body}.${b64url(signature)}`;
+}
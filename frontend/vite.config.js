@@ -5,7 +5,14 @@ import tailwind from '@tailwindcss/vite'
 export default defineConfig({
   plugins: [react(), tailwind()],
   server: {
-    port: 5173
+    port: 5173,
+    // /api -> local mock backend (npm run mock-api); nginx strips the prefix the same way
+    proxy: {
+      '/api': {
+        target: 'http://localhost:8787',
+        rewrite: (path) => path.replace(/^\/api/, '')
+      }
+    }
   },
   build: {
     outDir: '../backend/build',